@@ -22,7 +22,7 @@ const uglifyOutput = {
   },
 }
 
-const createConfig = ({ output, env } = {}) => {
+const createConfig = ({ input = 'src/index.js', output, env } = {}) => {
   const umd = output.format === 'umd'
 
   if (umd && typeof env === 'undefined') {
@@ -32,7 +32,7 @@ const createConfig = ({ output, env } = {}) => {
   const min = umd && env === 'production'
 
   return {
-    input: 'src/index.js',
+    input,
     plugins: [
       babel(babelSetup),
       env && replace({
@@ -74,4 +74,13 @@ export default [
     },
     env: 'development',
   }),
+  // Node entry for server-side rendering, see src/server.js
+  createConfig({
+    input: 'src/server.js',
+    output: {
+      file: 'build/lua.server.js',
+      format: 'cjs',
+      exports: 'named',
+    },
+  }),
 ]
@@ -19,7 +19,7 @@ const { fuse } = require('./scoring/scoreFuser');
 const { computeConfidence, shouldInvokeAI } = require('./scoring/confidenceCalc');
 const { runWaterfall } = require('./decision/priorityWaterfall');
 const { recordVisit } = require('./signals/historyAnalyzer');
-const { ALGORITHM, PRIORITY } = require('./config/constants');
+const { ALGORITHM, INTENT_TYPES, PRIORITY } = require('./config/constants');
 
 class LuaIntent {
     /**
@@ -28,6 +28,7 @@ class LuaIntent {
      *   ai?:           { enabled: boolean, threshold?: number, adapter?: Function },
      *   storage?:      Storage,
      *   recordHistory?: boolean,
+     *   forwarders?:   Array<{ track: Function }>,
      * }} [config]
      */
     constructor(config) {
@@ -55,6 +56,19 @@ class LuaIntent {
      * @returns {IntentDecision}
      */
     decide(ctx) {
+        const decision = this._decide(ctx);
+        this._forward(decision);
+        this._report(decision);
+        return decision;
+    }
+
+    /**
+     * Run the algorithmic decision without forwarding it.
+     *
+     * @param {object} [ctx]
+     * @returns {IntentDecision}
+     */
+    _decide(ctx) {
         const t0 = Date.now();
 
         // 1. Collect all signals
@@ -89,6 +103,9 @@ class LuaIntent {
 
         const decisionMs = Date.now() - t0;
 
+        // per-layer scores, for the debug overlay only
+        this._lastLayerScores = layerScores;
+
         const decision = {
             intent: waterfall.intent,
             confidence: waterfall.confidence,
@@ -124,7 +141,20 @@ class LuaIntent {
      * @returns {Promise<IntentDecision>}
      */
     async decideAsync(ctx) {
-        const syncDecision = this.decide(ctx);
+        const decision = await this._decideWithAI(ctx);
+        this._forward(decision);
+        this._report(decision);
+        return decision;
+    }
+
+    /**
+     * Run the AI-augmented decision without forwarding it.
+     *
+     * @param {object} [ctx]
+     * @returns {Promise<IntentDecision>}
+     */
+    async _decideWithAI(ctx) {
+        const syncDecision = this._decide(ctx);
 
         const aiCfg = this._config.ai || {};
         if (!shouldInvokeAI(syncDecision.confidence, aiCfg.enabled)) {
@@ -160,6 +190,37 @@ class LuaIntent {
 
         return syncDecision;
     }
+
+    /**
+     * Send a decision to the configured analytics forwarders (see forwarders.js).
+     * Forwarder errors never break the decision.
+     *
+     * @param {IntentDecision} decision
+     */
+    _forward(decision) {
+        (this._config.forwarders || []).forEach((forwarder) => {
+            try {
+                forwarder.track('decision', decision);
+            } catch { /* ignore forwarder errors */ }
+        });
+    }
+
+    /**
+     * Show a decision in the ?lua_debug=1 overlay (see debug.js), when it is loaded.
+     *
+     * @param {IntentDecision} decision
+     */
+    _report(decision) {
+        const root = typeof window !== 'undefined' ? window : global;
+        if (!root.LuaDebug) return;
+        try {
+            root.LuaDebug.record('intent', {
+                decision,
+                layers: this._lastLayerScores || {},
+                intents: Object.values(INTENT_TYPES),
+            });
+        } catch { /* the overlay never breaks the decision */ }
+    }
 }
 
 // ─── Session ID ───────────────────────────────────────────────────────────────
@@ -174,3 +174,88 @@ describe('LuaIntent integration — AI layer', () => {
         assert.equal(d.aiUsed, false);
     });
 });
+
+describe('LuaIntent integration — Forwarders', () => {
+    it('forwards every decision once', () => {
+        const tracked = [];
+        const forwarder = { track: (type, payload) => tracked.push([type, payload.intent]) };
+        const engine = new LuaIntent({ recordHistory: false, forwarders: [forwarder] });
+        const d = engine.decide({ url: 'https://example.com/?intent=buy_now' });
+        assert.deepEqual(tracked, [['decision', d.intent]]);
+    });
+
+    it('forwards only the final AI-augmented decision', async () => {
+        const tracked = [];
+        const engine = new LuaIntent({
+            recordHistory: false,
+            forwarders: [{ track: (type, payload) => tracked.push(payload) }],
+            ai: {
+                enabled: true,
+                adapter: async (signals, algo) => ({ intent: 'compare', confidence: algo.confidence + 0.20 }),
+            },
+        });
+        await engine.decideAsync({ url: 'https://example.com/' });
+        assert.equal(tracked.length, 1);
+        assert.equal(tracked[0].aiUsed, true);
+    });
+
+    it('ignores failing forwarders', () => {
+        const engine = new LuaIntent({
+            recordHistory: false,
+            forwarders: [{ track: () => { throw new Error('offline'); } }],
+        });
+        assert.ok(typeof engine.decide({ url: 'https://example.com/' }).intent === 'string');
+    });
+});
+
+describe('LuaIntent integration — Consent', () => {
+    it('keeps history in memory until consent is granted, wipes it on withdrawal', () => {
+        require('../consent');
+        const LuaConsent = global.LuaConsent;
+        const items = {};
+        const storage = {
+            getItem: (k) => (k in items ? items[k] : null),
+            setItem: (k, v) => { items[k] = String(v); },
+            removeItem: (k) => { delete items[k]; },
+            key: (i) => Object.keys(items)[i] || null,
+            get length() { return Object.keys(items).length; },
+        };
+
+        try {
+            LuaConsent.configure({ defaultState: 'pending', storage, tcf: false });
+            new LuaIntent().decide({ url: 'https://example.com/?intent=buy_now' });
+            assert.equal(items.lua_intent_history, undefined);
+            assert.ok(LuaConsent.storage().getItem('lua_intent_history'));
+
+            LuaConsent.grant();
+            assert.equal(JSON.parse(items.lua_intent_history)[0].intent, 'buy_now');
+
+            LuaConsent.deny();
+            assert.equal(items.lua_intent_history, undefined);
+            assert.equal(items.lua_consent, 'denied');
+        } finally {
+            LuaConsent.reset();
+            delete global.LuaConsent;
+        }
+    });
+});
+
+describe('LuaIntent integration — Debug overlay', () => {
+    it('reports each decision with its per-layer scores', () => {
+        const records = [];
+        global.LuaDebug = { record: (kind, data) => records.push({ kind, data }) };
+
+        try {
+            const decision = new LuaIntent({ recordHistory: false })
+                .decide({ url: 'https://example.com/?intent=buy_now' });
+
+            assert.equal(records.length, 1);
+            assert.equal(records[0].kind, 'intent');
+            assert.equal(records[0].data.decision, decision);
+            assert.deepEqual(Object.keys(records[0].data.layers), ['url', 'referrer', 'behavior', 'time', 'device', 'history']);
+            assert.ok(records[0].data.intents.includes('compare'));
+        } finally {
+            delete global.LuaDebug;
+        }
+    });
+});
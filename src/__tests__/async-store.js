@@ -0,0 +1,89 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+
+// a store whose get() and set() answer asynchronously, like a remote profile API
+const createAsyncStore = (data = {}) => ({
+  data,
+  get: key => new Promise(resolve => setTimeout(() => resolve(data[key] || null))),
+  set: (key, val) => new Promise((resolve) => {
+    data[key] = val
+    resolve()
+  }),
+  remove: key => Promise.resolve(delete data[key]),
+  isSupported: () => true,
+})
+
+const createTests = () => [
+  {
+    name: 'hero',
+    buckets: {
+      control: { weight: 0, default: true },
+      variant: { weight: 1 },
+    },
+  },
+]
+
+it('should be ready right away with a synchronous store', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  assert.ok(lua.loaded)
+  return lua.ready().then(instance => assert.strictEqual(instance, lua))
+})
+
+it('should wait for previous assignments before bucketing', () => {
+  const store = createAsyncStore({ 'ab-tests': '{"hero":"control"}' })
+  const lua = new Lua({ store })
+  lua.define(createTests())
+  assert.ok(!lua.loaded)
+
+  return lua.assign().then(() => {
+    assert.strictEqual(lua.assignments().hero, 'control')
+    assert.strictEqual(store.data['ab-tests'], '{"hero":"control"}')
+  })
+})
+
+it('should return promises from assignWithUTM and track while loading', () => {
+  const store = createAsyncStore()
+  const lua = new Lua({ store })
+  lua.define(createTests())
+
+  return lua.assignWithUTM('hero', { context: { hasUTM: false } })
+    .then((result) => {
+      assert.deepStrictEqual(result, { assignment: 'variant', source: 'random' })
+      assert.deepStrictEqual(lua.track('purchase'), ['hero'])
+      assert.strictEqual(JSON.parse(store.data['ab-tests-results']).hero.variant.conversions, 1)
+    })
+})
+
+it('should call load() on stores that have one', () => {
+  let loaded = false
+  const store = Object.assign(MemoryStore(), {
+    load: () => new Promise(resolve => setTimeout(() => {
+      loaded = true
+      resolve()
+    })),
+  })
+  store.set('ab-tests', '{"hero":"control"}')
+
+  const lua = new Lua({ store })
+  lua.define(createTests())
+  return lua.ready().then(() => {
+    assert.ok(loaded)
+    lua.assign()
+    assert.strictEqual(lua.assignments().hero, 'control')
+  })
+})
+
+it('should start empty when an asynchronous store fails', () => {
+  const store = Object.assign(createAsyncStore(), {
+    get: () => Promise.reject(new Error('offline')),
+  })
+  const lua = new Lua({ store })
+  lua.define(createTests())
+
+  return lua.assign().then(() => {
+    assert.strictEqual(lua.assignments().hero, 'variant')
+  })
+})
@@ -0,0 +1,145 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+import { buildAudienceContext, matchesAudience } from '../audience'
+
+const createContext = (overrides = {}) => Object.assign({
+  utm: { utm_source: 'google', utm_campaign: 'summer_sale' },
+  referrer: { source: 'google', category: 'search' },
+  userAgent: { isMobile: true, isTablet: false, isDesktop: false },
+  hasUTM: true,
+  primaryIntent: 'price-focused',
+}, overrides)
+
+const createTest = audience => ({
+  name: 'mobile-checkout',
+  audience,
+  buckets: {
+    control: { weight: 1, default: true },
+    variant: { weight: 1 },
+  },
+})
+
+it('should flatten a UTM context for audience matching', () => {
+  const context = buildAudienceContext(createContext(), { visitCount: 3, attributes: { plan: 'pro' } })
+
+  assert.deepStrictEqual(context, {
+    utm: { utm_source: 'google', utm_campaign: 'summer_sale' },
+    referrer: 'search',
+    device: 'mobile',
+    intent: 'price-focused',
+    visitCount: 3,
+    attributes: { plan: 'pro' },
+  })
+})
+
+it('should match every kind of condition', () => {
+  const context = buildAudienceContext(createContext(), {
+    intent: 'buy_now',
+    visitCount: 3,
+    attributes: { plan: 'pro', country: 'US' },
+  })
+
+  assert.ok(matchesAudience({ utm: { utm_source: ['google', 'bing'] } }, context))
+  assert.ok(matchesAudience({ utm: { utm_campaign: /sale/ } }, context))
+  assert.ok(matchesAudience({ referrer: 'Search' }, context))
+  assert.ok(matchesAudience({ device: 'mobile' }, context))
+  assert.ok(matchesAudience({ intent: 'buy_now' }, context))
+  assert.ok(matchesAudience({ visitCount: { min: 2, max: 5 } }, context))
+  assert.ok(matchesAudience({ attributes: { plan: 'pro', country: x => x === 'US' } }, context))
+
+  assert.ok(!matchesAudience({ device: 'desktop' }, context))
+  assert.ok(!matchesAudience({ visitCount: { min: 4 } }, context))
+  assert.ok(!matchesAudience({ attributes: { plan: 'free' } }, context))
+  assert.ok(!matchesAudience({ attributes: { missing: 'value' } }, context))
+})
+
+it('should require all conditions unless `match` is any', () => {
+  const context = buildAudienceContext(createContext())
+
+  assert.ok(!matchesAudience({ device: 'mobile', referrer: 'social' }, context))
+  assert.ok(matchesAudience({ device: 'mobile', referrer: 'social', match: 'any' }, context))
+  assert.ok(matchesAudience({}, context))
+  assert.ok(matchesAudience(ctx => ctx.device === 'mobile', context))
+})
+
+it('should only enroll visitors matching the audience with assignWithUTM', () => {
+  const test = new Lua({ store: MemoryStore() })
+  test.define(createTest({ device: 'desktop' }))
+  const result = test.assignWithUTM('mobile-checkout', { context: createContext() })
+
+  assert.strictEqual(result.assignment, 'control')
+  assert.strictEqual(result.reason, 'audience')
+  assert.ok(!test.isEnrolled('mobile-checkout'))
+
+  const other = new Lua({ store: MemoryStore() })
+  other.define(createTest({ device: 'mobile' }))
+  other.assignWithUTM('mobile-checkout', { context: createContext() })
+  assert.ok(other.isEnrolled('mobile-checkout'))
+})
+
+it('should only enroll visitors matching the audience with assignAll', () => {
+  const test = new Lua({
+    store: MemoryStore(),
+    intent: { intent: 'buy_now', confidence: 0.8 },
+    attributes: { plan: 'pro' },
+  })
+  test.define([
+    Object.assign(createTest({ intent: 'buy_now', attributes: { plan: 'pro' } }), { name: 'pro-buyers' }),
+    Object.assign(createTest({ attributes: { plan: 'free' } }), { name: 'free-users' }),
+  ])
+  test.assign()
+
+  assert.ok(test.isEnrolled('pro-buyers'))
+  assert.ok(!test.isEnrolled('free-users'))
+  assert.strictEqual(test.exclusions['free-users'], 'audience')
+})
+
+it('should read attributes set after construction', () => {
+  const test = new Lua({ store: MemoryStore() })
+  test.define(createTest({ attributes: { plan: 'pro' } }))
+  test.setAttributes({ plan: 'pro' })
+  test.assign()
+
+  assert.ok(test.isEnrolled('mobile-checkout'))
+})
+
+it('should only pick layer tests the visitor is eligible for', () => {
+  const test = new Lua({ store: MemoryStore(), attributes: { plan: 'pro' } })
+  test.define([
+    Object.assign(createTest({ attributes: { plan: 'free' } }), { name: 'free-hero', layer: 'hero' }),
+    Object.assign(createTest({ attributes: { plan: 'pro' } }), { name: 'pro-hero', layer: 'hero' }),
+  ])
+  test.assign()
+
+  assert.strictEqual(test.getLayerTest('hero'), 'pro-hero')
+  assert.ok(test.isEnrolled('pro-hero'))
+})
+
+it('should keep enrolled visitors when they no longer match the audience', () => {
+  const store = MemoryStore()
+  const campaign = createTest({ utm: { utm_campaign: 'summer_sale' } })
+
+  const first = new Lua({ store })
+  first.define(campaign)
+  const enrolled = first.assignWithUTM('mobile-checkout', { context: createContext() })
+  assert.ok(first.isEnrolled('mobile-checkout'))
+
+  // next page view, without UTM parameters
+  const next = new Lua({ store })
+  next.define(createTest({ utm: { utm_campaign: 'summer_sale' } }))
+  const result = next.assignWithUTM('mobile-checkout', { context: createContext({ utm: {}, hasUTM: false }) })
+
+  assert.strictEqual(result.assignment, enrolled.assignment)
+  assert.strictEqual(result.source, 'persisted')
+  assert.ok(next.isEnrolled('mobile-checkout'))
+  assert.deepStrictEqual(JSON.parse(store.get('ab-tests')), { 'mobile-checkout': enrolled.assignment })
+
+  const other = new Lua({ store })
+  other.define(createTest({ utm: { utm_campaign: 'summer_sale' } }))
+  other.setAttributes({})
+  other.assign()
+  assert.ok(other.isEnrolled('mobile-checkout'))
+})
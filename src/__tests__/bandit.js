@@ -0,0 +1,121 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+import {
+  epsilonGreedyProbabilities,
+  sampleBeta,
+  thompsonProbabilities,
+} from '../stats'
+import { createRandom } from '../utils'
+
+const results = {
+  promo: {
+    control: { exposures: 1000, conversions: 50 },
+    discount: { exposures: 1000, conversions: 120 },
+  },
+}
+
+it('should create a seeded random number generator', () => {
+  const a = createRandom(42)
+  const b = createRandom(42)
+  for (let i = 0; i < 10; i++) {
+    const value = a()
+    assert.strictEqual(value, b())
+    assert.ok(value >= 0 && value < 1)
+  }
+})
+
+it('should sample from a Beta distribution', () => {
+  const random = createRandom(7)
+  let sum = 0
+  for (let i = 0; i < 2000; i++) sum += sampleBeta(3, 7, random)
+  assert.ok(Math.abs(sum / 2000 - 0.3) < 0.02)
+})
+
+it('should favor the better arm with Thompson sampling', () => {
+  const probabilities = thompsonProbabilities([
+    { successes: 50, failures: 950 },
+    { successes: 120, failures: 880 },
+  ], createRandom(1))
+
+  assert.ok(probabilities[1] > 0.99)
+  assert.ok(Math.abs(probabilities[0] + probabilities[1] - 1) < 1e-9)
+})
+
+it('should explore with epsilon-greedy', () => {
+  const probabilities = epsilonGreedyProbabilities([
+    { successes: 5, failures: 95 },
+    { successes: 10, failures: 90 },
+    { successes: 10, failures: 90 },
+  ], 0.3)
+
+  assert.deepStrictEqual(probabilities.map(x => Math.round(x * 100)), [10, 45, 45])
+})
+
+it('should shift traffic to the winning bucket from provided results', () => {
+  const counts = { control: 0, discount: 0 }
+  for (let i = 0; i < 200; i++) {
+    const lua = new Lua({ store: MemoryStore(), banditResults: results })
+    lua.define({
+      name: 'promo',
+      allocation: 'thompson',
+      buckets: {
+        control: { weight: 1 },
+        discount: { weight: 1 },
+      },
+    })
+    lua.assign()
+    counts[lua.assignments().promo]++
+  }
+
+  assert.ok(counts.discount > 190)
+})
+
+it('should keep the static weights without bandit results', () => {
+  // the visitor's own results are not aggregated over every visitor
+  const store = MemoryStore()
+  store.set('ab-tests-results', JSON.stringify(results))
+
+  const lua = new Lua({ store })
+  lua.define({
+    name: 'promo',
+    allocation: 'epsilon-greedy',
+    buckets: {
+      control: { weight: 3 },
+      discount: { weight: 1 },
+    },
+  })
+
+  assert.deepStrictEqual(lua.getAllocationWeights(lua.definitions()[0]), [3, 1])
+})
+
+it('should explore evenly without any results for the test', () => {
+  const lua = new Lua({ store: MemoryStore(), banditResults: () => ({}) })
+  lua.define({
+    name: 'promo',
+    allocation: 'epsilon-greedy',
+    buckets: {
+      control: { weight: 1 },
+      discount: { weight: 1 },
+    },
+  })
+
+  assert.deepStrictEqual(lua.getAllocationWeights(lua.definitions()[0]), [0.5, 0.5])
+})
+
+it('should reject unknown allocation modes', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  assert.throws(() => lua.define({
+    name: 'promo',
+    allocation: 'ucb',
+    buckets: { control: {}, discount: {} },
+  }))
+  assert.throws(() => lua.define({
+    name: 'promo',
+    allocation: 'epsilon-greedy',
+    epsilon: 2,
+    buckets: { control: {}, discount: {} },
+  }))
+})
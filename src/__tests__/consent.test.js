@@ -0,0 +1,251 @@
+/**
+ * Tests for consent-aware persistence
+ * Tests consent states, GPC, TCF, migration on grant and wiping on withdrawal
+ */
+
+require('../consent')
+require('../storage/weighted-history')
+
+const LuaConsent = global.LuaConsent
+const LuaWeightedHistory = global.LuaWeightedHistory
+const Lua = require('../lua').default
+const consentStore = require('../stores/consent').default
+
+const createStorage = function () {
+    const items = {}
+    return {
+        items: items,
+        getItem: function (key) { return key in items ? items[key] : null },
+        setItem: function (key, value) { items[key] = String(value) },
+        removeItem: function (key) { delete items[key] },
+        key: function (index) { return Object.keys(items)[index] || null },
+        get length() { return Object.keys(items).length }
+    }
+}
+
+const createStore = function () {
+    const items = {}
+    return {
+        items: items,
+        get: function (key) { return key in items ? items[key] : null },
+        set: function (key, value) { items[key] = value },
+        remove: function (key) { delete items[key] },
+        isSupported: function () { return true }
+    }
+}
+
+const test = {
+    name: 'hero',
+    buckets: {
+        control: { default: true },
+        variant: {}
+    }
+}
+
+describe('LuaConsent', () => {
+    afterEach(() => {
+        LuaConsent.reset()
+        delete global.__tcfapi
+        delete navigator.globalPrivacyControl
+        document.body.className = ''
+    })
+
+    describe('state', () => {
+        it('should count as granted until consent is managed', () => {
+            expect(LuaConsent.getStatus()).toEqual({ state: 'granted', source: 'default', managed: false })
+            expect(LuaConsent.isGranted()).toBe(true)
+        })
+
+        it('should start pending once configured', () => {
+            expect(LuaConsent.configure({ storage: createStorage() })).toBe('pending')
+            expect(LuaConsent.getStatus()).toEqual({ state: 'pending', source: 'default', managed: true })
+        })
+
+        it('should remember the decision across page views', () => {
+            const storage = createStorage()
+            LuaConsent.configure({ storage: storage })
+            LuaConsent.grant()
+            expect(storage.items.lua_consent).toBe('granted')
+
+            LuaConsent.reset()
+            expect(LuaConsent.configure({ storage: storage })).toBe('granted')
+            expect(LuaConsent.getStatus().source).toBe('stored')
+        })
+
+        it('should deny when Global Privacy Control is on', () => {
+            navigator.globalPrivacyControl = true
+            expect(LuaConsent.configure({ storage: createStorage(), defaultState: 'granted' })).toBe('denied')
+            expect(LuaConsent.getStatus().source).toBe('gpc')
+        })
+
+        it('should follow the TCF storage purpose', () => {
+            let callback = null
+            global.__tcfapi = function (command, version, fn) {
+                if (command === 'addEventListener') callback = fn
+            }
+            LuaConsent.configure({ storage: createStorage() })
+
+            callback({ eventStatus: 'tcloaded', gdprApplies: true, purpose: { consents: { 1: true } } }, true)
+            expect(LuaConsent.getStatus()).toEqual({ state: 'granted', source: 'tcf', managed: true })
+
+            callback({ eventStatus: 'useractioncomplete', gdprApplies: true, purpose: { consents: {} } }, true)
+            expect(LuaConsent.getState()).toBe('denied')
+        })
+
+        it('should notify listeners of changes', () => {
+            const changes = []
+            const off = LuaConsent.onChange(function (state, previous) {
+                changes.push([state, previous])
+            })
+            LuaConsent.configure({ storage: createStorage() })
+            LuaConsent.grant()
+            off()
+            LuaConsent.deny()
+
+            expect(changes).toEqual([['pending', 'granted'], ['granted', 'pending']])
+        })
+
+        it('should reject unknown states', () => {
+            expect(() => LuaConsent.setState('maybe')).toThrow('State must be one of')
+            expect(() => LuaConsent.configure({ defaultState: 'maybe' })).toThrow('defaultState must be one of')
+        })
+    })
+
+    describe('storage', () => {
+        it('should keep data in memory until consent is granted', () => {
+            const storage = createStorage()
+            LuaConsent.configure({ storage: storage })
+            LuaConsent.storage().setItem('lua_holdout', '{"roll":0.5}')
+
+            expect(storage.items.lua_holdout).toBeUndefined()
+            expect(LuaConsent.storage().getItem('lua_holdout')).toBe('{"roll":0.5}')
+
+            LuaConsent.grant()
+            expect(storage.items.lua_holdout).toBe('{"roll":0.5}')
+        })
+
+        it('should wipe data from earlier visits on withdrawal', () => {
+            const storage = createStorage()
+            storage.setItem('lua_intent_history', '[]')
+            storage.setItem('lua_ai_cache_abc', '{}')
+            storage.setItem('unrelated', 'kept')
+            LuaConsent.configure({ storage: storage, defaultState: 'granted' })
+            LuaConsent.storage().setItem('custom_key', 'x')
+
+            LuaConsent.deny()
+            expect(storage.items).toEqual({ unrelated: 'kept', lua_consent: 'denied' })
+        })
+
+        it('should keep LuaWeightedHistory in memory while pending', () => {
+            const storage = createStorage()
+            LuaConsent.configure({ storage: storage })
+            LuaWeightedHistory.recordVisit({ intent: 'gaming', context: {} })
+
+            expect(storage.items.lua_personalize_history).toBeUndefined()
+            expect(LuaWeightedHistory.getHistory().visits.length).toBe(1)
+
+            LuaConsent.grant()
+            expect(JSON.parse(storage.items.lua_personalize_history).visits.length).toBe(1)
+        })
+    })
+
+    describe('Lua stores', () => {
+        it('should wrap the store of new Lua instances', () => {
+            const store = createStore()
+            LuaConsent.configure({ storage: createStorage() })
+            const lua = new Lua({ store: store, root: null })
+            lua.define(test)
+            lua.assign('hero', 'variant')
+
+            expect(lua.store.type).toBe('consent')
+            expect(store.items).toEqual({})
+            expect(lua.assignments()).toEqual({ hero: 'variant' })
+
+            LuaConsent.grant()
+            expect(JSON.parse(store.items['ab-tests'])).toEqual({ hero: 'variant' })
+        })
+
+        it('should keep the stored bucket of a returning visitor on grant', () => {
+            const store = createStore()
+            store.set('ab-tests', JSON.stringify({ hero: 'variant' }))
+            store.set('ab-tests-results', JSON.stringify({ hero: { variant: { exposures: 1, conversions: 0 } } }))
+            LuaConsent.configure({ storage: createStorage() })
+            const lua = new Lua({ store: store, root: document.body })
+            lua.define(test)
+            lua.define({ name: 'pricing', buckets: { monthly: { default: true }, yearly: {} } })
+            lua.assign('hero', 'control')
+            lua.assign('pricing', 'yearly')
+            const changes = []
+            lua.on('change', function (payload) { changes.push(payload.changes) })
+
+            LuaConsent.grant()
+            return lua.ready().then(function () {
+                expect(lua.assignments()).toEqual({ hero: 'variant', pricing: 'yearly' })
+                expect(lua.describeAssignment('hero').source).toBe('persisted')
+                expect(document.body.className.split(' ').sort()).toEqual(['hero--variant', 'pricing--yearly'])
+                expect(changes).toEqual([[{ testName: 'hero', bucket: 'variant', previous: 'control' }]])
+                expect(JSON.parse(store.items['ab-tests'])).toEqual({ hero: 'variant', pricing: 'yearly' })
+
+                const results = JSON.parse(store.items['ab-tests-results'])
+                expect(results.hero).toEqual({ variant: { exposures: 1, conversions: 0 } })
+                expect(results.pricing.yearly.exposures).toBe(1)
+            })
+        })
+
+        it('should keep the stored history and user ID of a returning visitor on grant', () => {
+            const storage = createStorage()
+            LuaConsent.configure({ storage: storage, defaultState: 'granted' })
+            LuaWeightedHistory.recordVisit({ intent: 'gaming', context: {} })
+            const userId = LuaWeightedHistory.getUserId()
+            const stored = storage.items.lua_personalize_history
+
+            LuaConsent.reset()
+            LuaConsent.configure({ storage: storage, defaultState: 'pending' })
+            storage.removeItem('lua_consent')
+            LuaWeightedHistory.recordVisit({ intent: 'deals', context: {} })
+            expect(LuaWeightedHistory.getUserId()).not.toBe(userId)
+
+            LuaConsent.grant()
+            expect(storage.items.lua_personalize_history).toBe(stored)
+            expect(LuaWeightedHistory.getUserId()).toBe(userId)
+        })
+
+        it('should remove the keys Lua used on withdrawal', () => {
+            const store = createStore()
+            store.set('ab-tests', JSON.stringify({ hero: 'variant' }))
+            LuaConsent.configure({ storage: createStorage(), defaultState: 'granted' })
+            const lua = new Lua({ store: store, root: null })
+            lua.define(test)
+            lua.assign()
+
+            LuaConsent.deny()
+            expect(store.items).toEqual({})
+        })
+
+        it('should leave the store alone with consent: false', () => {
+            const store = createStore()
+            LuaConsent.configure({ storage: createStorage() })
+            const lua = new Lua({ store: store, root: null, consent: false })
+            lua.define(test)
+            lua.assign('hero', 'variant')
+
+            expect(lua.store).toBe(store)
+            expect(JSON.parse(store.items['ab-tests'])).toEqual({ hero: 'variant' })
+        })
+
+        it('should only load asynchronous stores once granted', () => {
+            const store = createStore()
+            store.load = jest.fn(function () { return Promise.resolve() })
+            LuaConsent.configure({ storage: createStorage() })
+            const wrapped = consentStore(store, LuaConsent)
+
+            return wrapped.load().then(function () {
+                expect(store.load).not.toHaveBeenCalled()
+                LuaConsent.grant()
+                return wrapped.load()
+            }).then(function () {
+                expect(store.load).toHaveBeenCalledTimes(1)
+            })
+        })
+    })
+})
@@ -0,0 +1,175 @@
+/**
+ * Tests for the debug overlay
+ * Tests what the panel shows and the QA controls that switch buckets and intents
+ */
+
+require('../utm')
+require('../storage/weighted-history')
+require('../personalization')
+require('../debug')
+
+const LuaDebug = global.LuaDebug
+const LuaPersonalize = global.LuaPersonalize
+const LuaWeightedHistory = global.LuaWeightedHistory
+const Lua = require('../lua').default
+const MemoryStore = require('../stores/memory').default
+
+const templates = {
+    'gaming': { headline: 'Level Up Your Setup' },
+    'default': { headline: 'Welcome' }
+}
+
+const test = {
+    name: 'hero',
+    buckets: {
+        control: { default: true },
+        variant: {}
+    }
+}
+
+const intentDecision = {
+    decision: {
+        intent: 'buy_now',
+        confidence: 0.92,
+        reason: 'Explicit ?intent=buy_now',
+        source: 'explicit'
+    },
+    layers: {
+        url: { buy_now: 3, compare: 0.5 },
+        referrer: {}
+    },
+    intents: ['buy_now', 'compare', 'research']
+}
+
+const getPanel = function () {
+    return document.getElementById('lua-debug')
+}
+
+const createLua = function () {
+    const lua = new Lua({ store: MemoryStore(), root: document.body })
+    lua.define(test)
+    lua.assign('hero', 'control')
+    return lua
+}
+
+describe('LuaDebug', () => {
+    beforeEach(() => {
+        LuaDebug.enable()
+    })
+
+    afterEach(() => {
+        LuaDebug.reset()
+        LuaWeightedHistory.clearHistory()
+        document.body.innerHTML = ''
+        document.body.className = ''
+        window.history.replaceState(null, '', '/')
+    })
+
+    describe('panel', () => {
+        it('should only show when enabled', () => {
+            LuaDebug.disable()
+            LuaDebug.render()
+            expect(getPanel()).toBe(null)
+            expect(LuaDebug.isEnabled()).toBe(false)
+
+            LuaDebug.enable()
+            expect(getPanel().textContent).toContain('No tests defined')
+            expect(getPanel().textContent).toContain('No decision yet')
+        })
+
+        it('should keep no reference to Lua instances until enabled', () => {
+            LuaDebug.disable()
+            const lua = createLua()
+            LuaDebug.record('intent', intentDecision)
+
+            expect(lua.listeners).toEqual({})
+            LuaDebug.enable()
+            expect(LuaDebug.getState()).toMatchObject({ lua: [], intent: null })
+
+            const next = createLua()
+            expect(Object.keys(next.listeners).sort()).toEqual(['assign', 'change', 'persist'])
+            LuaDebug.disable()
+            expect(next.listeners).toEqual({ assign: [], change: [], persist: [] })
+        })
+
+        it('should be requested with ?lua_debug=1', () => {
+            expect(LuaDebug.isRequested()).toBe(false)
+            window.history.replaceState(null, '', '/?lua_debug=1')
+            expect(LuaDebug.isRequested()).toBe(true)
+        })
+
+        it('should show the buckets of the Lua instance', () => {
+            createLua()
+            const row = getPanel().querySelector('[data-test="hero"]')
+
+            expect(row.textContent).toContain('hero')
+            expect(row.querySelector('select').value).toBe('control')
+            expect(LuaDebug.getState().lua[0]).toMatchObject({ testName: 'hero', bucket: 'control', source: 'manual' })
+        })
+
+        it('should show the latest LuaIntent decision with per-layer scores', () => {
+            LuaDebug.record('intent', intentDecision)
+            const text = getPanel().textContent
+
+            expect(text).toContain('buy_now (92%, explicit)')
+            expect(text).toContain('Explicit ?intent=buy_now')
+            expect(text).toContain('url: buy_now 3, compare 0.5')
+            expect(text).toContain('referrer: -')
+        })
+
+        it('should show the LuaPersonalize template and source', () => {
+            LuaPersonalize.personalize({ templates: templates, forceIntent: 'gaming', log: false })
+
+            expect(getPanel().textContent).toContain('gaming (forced)')
+            expect(getPanel().textContent).toContain('Level Up Your Setup')
+            expect(LuaDebug.getState().personalize.decision.intent).toBe('gaming')
+        })
+
+        it('should show the weighted history', () => {
+            LuaWeightedHistory.recordVisit({ intent: 'gaming', source: 'utm', context: {} })
+            LuaDebug.render()
+
+            expect(getPanel().textContent).toContain('1 visit(s), user ' + LuaWeightedHistory.getUserId())
+            expect(getPanel().textContent).toContain('gaming (utm)')
+        })
+
+        it('should close', () => {
+            getPanel().querySelector('[data-action="close"]').click()
+            expect(getPanel()).toBe(null)
+        })
+    })
+
+    describe('controls', () => {
+        it('should switch buckets live without enrolling the visitor', () => {
+            const lua = createLua()
+            const select = getPanel().querySelector('[data-test="hero"] select')
+            select.value = 'variant'
+            select.dispatchEvent(new Event('change'))
+
+            expect(document.body.className).toBe('hero--variant')
+            expect(lua.describeAssignment('hero')).toMatchObject({ bucket: 'variant', preview: true, enrolled: false })
+            expect(getPanel().querySelector('[data-test="hero"] select').value).toBe('variant')
+        })
+
+        it('should switch intents live', () => {
+            LuaPersonalize.personalize({ templates: templates, log: false })
+            LuaDebug.switchIntent('gaming')
+
+            const decision = LuaDebug.getState().personalize.decision
+            expect(decision.intent).toBe('gaming')
+            expect(decision.source).toBe('forced')
+        })
+
+        it('should keep the choices in the URL on reload', () => {
+            createLua()
+            LuaDebug.record('intent', intentDecision)
+            LuaDebug.switchBucket('hero', 'variant')
+            LuaDebug.switchIntent('compare')
+
+            expect(LuaDebug.getReloadUrl('https://shop.example/?utm_source=x&lua_force=old:a#top')).toBe(
+                'https://shop.example/?utm_source=x&lua_debug=1&lua_force=hero%3Avariant' +
+                '&lua_force_intent=compare&intent=compare#top'
+            )
+        })
+    })
+})
@@ -0,0 +1,173 @@
+/**
+ * @jest-environment node
+ */
+
+import assert from 'assert'
+import http from 'http'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+import { getMaxAge, validateDefinitions } from '../definitions'
+
+const document = {
+  version: 3,
+  tests: [
+    {
+      name: 'hero',
+      buckets: {
+        control: { weight: 0, default: true },
+        variant: { weight: 1 },
+      },
+    },
+  ],
+}
+
+// local stub server, `respond(req, res)` can be swapped per test
+let respond
+let server
+let url
+
+// enough of fetch() for loadDefinitions, on top of http
+const fetchStub = (target, options = {}) => new Promise((resolve, reject) => {
+  http.get(target, { headers: options.headers }, (res) => {
+    let body = ''
+    res.on('data', (chunk) => { body += chunk })
+    res.on('end', () => resolve({
+      status: res.statusCode,
+      ok: res.statusCode >= 200 && res.statusCode < 300,
+      headers: { get: name => res.headers[name.toLowerCase()] || null },
+      json: () => Promise.resolve().then(() => JSON.parse(body)),
+    }))
+  }).on('error', reject)
+})
+
+beforeAll(done => {
+  server = http.createServer((req, res) => respond(req, res))
+  server.listen(0, '127.0.0.1', () => {
+    url = `http://127.0.0.1:${server.address().port}/experiments.json`
+    done()
+  })
+})
+
+afterAll(done => server.close(done))
+
+const serve = (body, headers = {}) => {
+  const requests = []
+  respond = (req, res) => {
+    requests.push(req.headers)
+    if (req.headers['if-none-match'] && req.headers['if-none-match'] === headers.ETag) {
+      res.writeHead(304, headers)
+      res.end()
+      return
+    }
+    res.writeHead(200, Object.assign({ 'Content-Type': 'application/json' }, headers))
+    res.end(typeof body === 'string' ? body : JSON.stringify(body))
+  }
+  return requests
+}
+
+it('should validate documents against the schema', () => {
+  assert.deepStrictEqual(validateDefinitions(document.tests), { tests: document.tests })
+
+  try {
+    validateDefinitions({ tests: [{ name: '', buckets: {} }, { buckets: { a: { weight: -1 } } }] })
+    assert.fail('should throw')
+  } catch (error) {
+    assert.deepStrictEqual(error.problems, [
+      '$.tests[0].name: must not be empty',
+      '$.tests[0].buckets: must have at least 1 properties',
+      '$.tests[1].name: is required',
+      '$.tests[1].buckets.a.weight: must be >= 0',
+    ])
+  }
+})
+
+it('should read max-age from Cache-Control', () => {
+  assert.strictEqual(getMaxAge('public, max-age=300'), 300)
+  assert.strictEqual(getMaxAge('no-cache, max-age=300'), null)
+  assert.strictEqual(getMaxAge(null), null)
+})
+
+it('should define tests from an object', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  return lua.loadDefinitions(document).then((result) => {
+    assert.strictEqual(result.source, 'object')
+    assert.deepStrictEqual(lua.definitions().map(test => test.name), ['hero'])
+  })
+})
+
+it('should fetch, cache with max-age and revalidate with the ETag', () => {
+  const requests = serve(document, { ETag: '"v3"', 'Cache-Control': 'max-age=60' })
+  const store = MemoryStore()
+  let now = 0
+
+  const lua = new Lua({ store, fetch: fetchStub, now: () => now })
+  return lua.loadDefinitions(url)
+    .then((result) => {
+      assert.strictEqual(result.source, 'network')
+      lua.assign()
+      assert.strictEqual(lua.assignments().hero, 'variant')
+      assert.strictEqual(JSON.parse(store.get('ab-tests-definitions')).etag, '"v3"')
+
+      // fresh copy, no request
+      return new Lua({ store, fetch: fetchStub, now: () => now }).loadDefinitions(url)
+    })
+    .then((result) => {
+      assert.strictEqual(result.source, 'cache')
+      assert.strictEqual(requests.length, 1)
+
+      // stale copy, revalidated
+      now = 61 * 1000
+      return new Lua({ store, fetch: fetchStub, now: () => now }).loadDefinitions(url)
+    })
+    .then((result) => {
+      assert.strictEqual(result.source, 'cache')
+      assert.strictEqual(requests.length, 2)
+      assert.strictEqual(requests[1]['if-none-match'], '"v3"')
+    })
+})
+
+it('should fall back to the last good copy', () => {
+  const store = MemoryStore()
+  serve(document)
+
+  return new Lua({ store, fetch: fetchStub }).loadDefinitions(url)
+    .then(() => {
+      serve('{"tests": [{"name": "broken"}]}')
+      return new Lua({ store, fetch: fetchStub }).loadDefinitions(url)
+    })
+    .then((result) => {
+      assert.strictEqual(result.source, 'fallback')
+      assert.ok(/buckets: is required/.test(result.error.message))
+      assert.strictEqual(result.tests[0].name, 'hero')
+
+      respond = (req, res) => {
+        res.writeHead(500)
+        res.end()
+      }
+      return new Lua({ store, fetch: fetchStub }).loadDefinitions(url)
+    })
+    .then((result) => {
+      assert.strictEqual(result.source, 'fallback')
+    })
+})
+
+it('should reject without a good copy', () => {
+  serve('not json')
+  const lua = new Lua({ store: MemoryStore(), fetch: fetchStub })
+  return lua.loadDefinitions(url).then(
+    () => assert.fail('should reject'),
+    error => assert.ok(error instanceof Error)
+  )
+})
+
+it('should replace the tests of a previous load', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  lua.define({ name: 'local', buckets: { a: {} } })
+
+  return lua.loadDefinitions(document)
+    .then(() => lua.loadDefinitions([{ name: 'pricing', buckets: { monthly: {} } }]))
+    .then(() => {
+      assert.deepStrictEqual(lua.definitions().map(test => test.name), ['local', 'pricing'])
+    })
+})
@@ -0,0 +1,84 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+import { hashString, hashToUnit, getRandomAssignment } from '../utils'
+
+const buckets = {
+  control: { weight: 0.5 },
+  variantA: { weight: 0.25 },
+  variantB: { weight: 0.25 },
+}
+
+it('should hash strings to stable unsigned integers', () => {
+  assert.strictEqual(hashString('lua'), hashString('lua'))
+  assert.notStrictEqual(hashString('lua'), hashString('lub'))
+  assert.ok(hashString('') >= 0)
+
+  const value = hashToUnit('visitor-1:hero')
+  assert.ok(value >= 0 && value < 1)
+})
+
+it('should assign the same bucket for the same user across stores', () => {
+  for (let i = 0; i < 50; i++) {
+    const userId = `user-${i}`
+    const first = new Lua({ store: MemoryStore(), userId })
+    first.define({ name: 'hero', buckets })
+    first.assign()
+
+    const second = new Lua({ store: MemoryStore(), userId })
+    second.define({ name: 'hero', buckets })
+    second.assign()
+
+    assert.strictEqual(first.assignments().hero, second.assignments().hero)
+  }
+})
+
+it('should keep the same bucket when assigning a single test repeatedly', () => {
+  const test = new Lua({ store: MemoryStore(), userId: 'visitor-42' })
+  test.define({ name: 'hero', buckets })
+  test.assign('hero')
+  const bucket = test.assignments().hero
+
+  for (let i = 0; i < 20; i++) {
+    test.assign('hero')
+    assert.strictEqual(bucket, test.assignments().hero)
+  }
+})
+
+it('should accept a function as the user ID', () => {
+  const test = new Lua({ store: MemoryStore(), userId: () => 'visitor-7' })
+  test.define({ name: 'hero', buckets })
+  test.assign()
+
+  assert.strictEqual(test.getUserId(), 'visitor-7')
+  assert.strictEqual(test.assignments().hero, getRandomAssignment({ name: 'hero', buckets }, 'visitor-7'))
+})
+
+it('should fall back to random bucketing without a user ID', () => {
+  const test = new Lua({ store: MemoryStore(), userId: () => { throw new Error('unavailable') } })
+  assert.strictEqual(test.getUserId(), null)
+})
+
+it('should distribute users according to the bucket weights', () => {
+  const counts = { control: 0, variantA: 0, variantB: 0 }
+  const passes = 10000
+
+  for (let i = 0; i < passes; i++) {
+    counts[getRandomAssignment({ name: 'hero', buckets }, `user-${i}`)]++
+  }
+
+  assert.ok(Math.abs(counts.control / passes - 0.5) < 0.03)
+  assert.ok(Math.abs(counts.variantA / passes - 0.25) < 0.03)
+  assert.ok(Math.abs(counts.variantB / passes - 0.25) < 0.03)
+})
+
+it('should bucket the same user independently per test', () => {
+  const seen = {}
+  for (let i = 0; i < 20; i++) {
+    const bucket = getRandomAssignment({ name: `test-${i}`, buckets }, 'visitor-1')
+    seen[bucket] = true
+  }
+  assert.ok(Object.keys(seen).length > 1)
+})
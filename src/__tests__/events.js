@@ -0,0 +1,117 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+
+const createTests = () => [
+  {
+    name: 'hero',
+    buckets: {
+      control: { weight: 1, default: true },
+    },
+  },
+  {
+    name: 'pricing',
+    buckets: {
+      monthly: { weight: 1, default: true },
+      annual: { weight: 1, winner: true },
+    },
+  },
+  {
+    name: 'footer',
+    active: false,
+    buckets: {
+      plain: { default: true },
+      fancy: {},
+    },
+  },
+]
+
+const collect = (lua, event) => {
+  const events = []
+  lua.on(event, payload => events.push(payload))
+  return events
+}
+
+it('should emit assign events with the assignment source', () => {
+  const store = MemoryStore()
+  const lua = new Lua({ store })
+  lua.define(createTests())
+  const events = collect(lua, 'assign')
+  lua.assign()
+
+  assert.deepStrictEqual(events.map(x => [x.testName, x.bucket, x.source]), [
+    ['hero', 'control', 'random'],
+    ['pricing', 'annual', 'winner'],
+    ['footer', 'plain', 'default'],
+  ])
+  assert.strictEqual(events[2].reason, 'inactive')
+  assert.strictEqual(events[2].enrolled, false)
+
+  const returning = new Lua({ store })
+  returning.define(createTests())
+  const returningEvents = collect(returning, 'assign')
+  returning.assign()
+  assert.strictEqual(returningEvents[0].source, 'persisted')
+})
+
+it('should emit the utm source from assignWithUTM', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  lua.define({
+    name: 'hero',
+    buckets: {
+      control: { weight: 1, default: true },
+      gaming: { weight: 1 },
+    },
+  })
+  const events = collect(lua, 'assign')
+  lua.assignWithUTM('hero', {
+    context: { hasUTM: true, utm: { utm_campaign: 'launch' }, primaryIntent: 'gaming' },
+  })
+
+  assert.strictEqual(events.length, 1)
+  assert.strictEqual(events[0].bucket, 'gaming')
+  assert.strictEqual(events[0].source, 'utm')
+})
+
+it('should emit exposure events once per page view', () => {
+  const store = MemoryStore()
+  const lua = new Lua({ store })
+  lua.define(createTests())
+  const events = collect(lua, 'exposure')
+  lua.assign()
+  lua.assign()
+
+  assert.deepStrictEqual(events.map(x => [x.testName, x.first]), [['hero', true]])
+
+  const returning = new Lua({ store })
+  returning.define(createTests())
+  const returningEvents = collect(returning, 'exposure')
+  returning.assign()
+  assert.deepStrictEqual(returningEvents.map(x => [x.testName, x.first]), [['hero', false]])
+})
+
+it('should emit persist events with the stored assignments', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  lua.define(createTests())
+  const events = collect(lua, 'persist')
+  lua.assign('hero', 'control')
+
+  assert.deepStrictEqual(events, [{ assignments: { hero: 'control' }, holdout: false }])
+})
+
+it('should remove listeners and ignore failing ones', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  lua.define(createTests())
+  let calls = 0
+  lua.on('assign', () => { throw new Error('broken') })
+  const off = lua.on('assign', () => calls++)
+  lua.assign('hero', 'control')
+  off()
+  lua.assign('hero', 'control')
+
+  assert.strictEqual(calls, 1)
+  assert.strictEqual(lua.assignments().hero, 'control')
+  assert.throws(() => lua.on('assign'))
+})
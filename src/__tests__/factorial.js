@@ -0,0 +1,222 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+import { getDefinitionProblems, validateDefinitions } from '../definitions'
+import { expandFactors, getHalfFraction } from '../factorial'
+import { analyzeFactorial, analyzeResults } from '../stats'
+
+const close = (a, b, precision = 1e-9) => Math.abs(a - b) < precision
+
+it('should expand factors into one bucket per combination', () => {
+  const buckets = expandFactors({
+    name: 'landing',
+    factors: {
+      headline: {
+        short: { variables: { title: 'Save time' } },
+        long: { variables: { title: 'Save time on every order' } },
+      },
+      image: {
+        photo: {},
+        illustration: { default: true, weight: 3 },
+      },
+      cta: {
+        buy: { variables: { cta: 'Buy now' } },
+        trial: { variables: { cta: 'Start a trial' } },
+      },
+    },
+  })
+
+  assert.strictEqual(Object.keys(buckets).length, 8)
+  assert.deepStrictEqual(buckets.short__illustration__buy, {
+    weight: 3,
+    factors: { headline: 'short', image: 'illustration', cta: 'buy' },
+    variables: { title: 'Save time', cta: 'Buy now' },
+    default: true,
+  })
+  assert.strictEqual(buckets.long__photo__trial.weight, 1)
+  assert.strictEqual(buckets.long__photo__trial.default, undefined)
+})
+
+it('should run half of a two-level design', () => {
+  const combinations = getHalfFraction({
+    headline: { short: {}, long: {} },
+    image: { photo: {}, illustration: {} },
+    cta: { buy: {}, trial: {} },
+  })
+
+  assert.deepStrictEqual(combinations.map(x => [x.headline, x.image, x.cta].join(' ')), [
+    'short photo buy',
+    'short illustration trial',
+    'long photo trial',
+    'long illustration buy',
+  ])
+  assert.deepStrictEqual(Object.keys(expandFactors({
+    name: 'landing',
+    design: 'fractional',
+    factors: {
+      headline: { short: {}, long: {} },
+      image: { photo: {}, illustration: {} },
+      cta: { buy: {}, trial: {} },
+    },
+  })), [
+    'short__photo__buy',
+    'short__illustration__trial',
+    'long__photo__trial',
+    'long__illustration__buy',
+  ])
+})
+
+it('should add one class per factor and report the combination', () => {
+  const root = document.createElement('div')
+  const lua = new Lua({ store: MemoryStore(), root })
+  const events = []
+  lua.on('assign', event => events.push(event))
+  lua.define({
+    name: 'landing',
+    factors: {
+      headline: {
+        short: { variables: { title: 'Save time' } },
+        long: { variables: { title: 'Save time on every order' } },
+      },
+      image: {
+        photo: {},
+        illustration: { default: true, weight: 3 },
+      },
+      cta: {
+        buy: { variables: { cta: 'Buy now' } },
+        trial: { variables: { cta: 'Start a trial' } },
+      },
+    },
+  })
+  lua.assign('landing', 'long__photo__buy')
+
+  assert.strictEqual(root.className, 'landing--headline-long landing--image-photo landing--cta-buy')
+  assert.deepStrictEqual(lua.getClassNames(), ['landing--headline-long', 'landing--image-photo', 'landing--cta-buy'])
+  assert.deepStrictEqual(lua.getFactors('landing'), { headline: 'long', image: 'photo', cta: 'buy' })
+  assert.deepStrictEqual(events[0].factors, { headline: 'long', image: 'photo', cta: 'buy' })
+  assert.strictEqual(lua.getVariable('landing', 'title'), 'Save time on every order')
+
+  lua.assign('landing', 'short__photo__trial')
+  assert.deepStrictEqual(root.className.split(' ').sort(), [
+    'landing--cta-trial',
+    'landing--headline-short',
+    'landing--image-photo',
+  ])
+})
+
+it('should assign every factor', () => {
+  const lua = new Lua({ store: MemoryStore(), root: null })
+  lua.define({
+    name: 'landing',
+    factors: {
+      headline: {
+        short: { variables: { title: 'Save time' } },
+        long: { variables: { title: 'Save time on every order' } },
+      },
+      image: {
+        photo: {},
+        illustration: { default: true, weight: 3 },
+      },
+      cta: {
+        buy: { variables: { cta: 'Buy now' } },
+        trial: { variables: { cta: 'Start a trial' } },
+      },
+    },
+  })
+  lua.assignAll()
+
+  const factors = lua.getFactors('landing')
+  assert.deepStrictEqual(Object.keys(factors), ['headline', 'image', 'cta'])
+  assert.strictEqual(lua.assignments().landing, [factors.headline, factors.image, factors.cta].join('__'))
+})
+
+it('should leave other tests alone', () => {
+  const lua = new Lua({ store: MemoryStore(), root: null })
+  lua.define({ name: 'hero', buckets: { control: {} } })
+  lua.assign()
+
+  assert.strictEqual(lua.getFactors('hero'), null)
+  assert.deepStrictEqual(lua.getClassNames(), ['hero--control'])
+})
+
+it('should validate factors', () => {
+  const problems = getDefinitionProblems([
+    {
+      name: 'landing',
+      factors: {
+        headline: { short: {}, long: {} },
+        cta: { buy: {}, trial: {} },
+      },
+      buckets: { control: {} },
+    },
+    {
+      name: 'landing',
+      design: 'fractional',
+      factors: {
+        headline: { short: {}, long: {}, question: {} },
+        image: { photo__hero: {}, illustration: { weight: -1 } },
+      },
+    },
+    { name: 'other', design: 'nested', factors: { headline: { short: {} } } },
+  ])
+
+  assert.deepStrictEqual(problems, [
+    'tests[0].buckets: tests with factors get their buckets from the factors',
+    'tests[1].name: duplicate test name "landing"',
+    'tests[1].factors: fractional designs need at least three factors',
+    'tests[1].factors.headline: fractional designs need exactly two levels per factor',
+    'tests[1].factors.image.photo__hero: level names may only contain letters, digits, "_" and "-", without "__"',
+    'tests[1].factors.image.illustration.weight: must be a number >= 0',
+    'tests[2].design: must be one of: full, fractional',
+    'tests[2].factors.headline: must have at least two levels',
+  ])
+})
+
+it('should load multivariate tests from definitions', () => {
+  const factors = {
+    headline: { short: {}, long: {} },
+    image: { photo: {}, illustration: {} },
+    cta: { buy: {}, trial: {} },
+  }
+  assert.doesNotThrow(() => validateDefinitions([{ name: 'landing', design: 'fractional', factors }]))
+  assert.throws(() => validateDefinitions([{ name: 'landing', design: 'nested', factors }]))
+})
+
+it('should estimate main effects and interactions', () => {
+  const test = {
+    name: 'landing',
+    factors: {
+      headline: { short: {}, long: {} },
+      cta: { buy: {}, trial: {} },
+    },
+  }
+  const results = {
+    short__buy: { exposures: 1000, conversions: 100 },
+    short__trial: { exposures: 1000, conversions: 100 },
+    long__buy: { exposures: 1000, conversions: 150 },
+    long__trial: { exposures: 1000, conversions: 250 },
+  }
+  const lua = new Lua({ store: MemoryStore(), root: null })
+  lua.define(test)
+
+  const analysis = analyzeFactorial(results, { test: lua.definitions()[0] })
+  const long = analysis.factors.headline.levels.long
+  assert.strictEqual(analysis.design, 'full')
+  assert.strictEqual(analysis.factors.headline.control, 'short')
+  assert.ok(close(analysis.factors.headline.levels.short.rate, 0.1))
+  assert.ok(close(long.rate, 0.2))
+  assert.ok(close(long.difference, 0.1))
+  assert.ok(long.pValue < 0.001)
+
+  assert.strictEqual(analysis.interactions.length, 1)
+  assert.deepStrictEqual(analysis.interactions[0].factors, ['headline', 'cta'])
+  assert.ok(close(analysis.interactions[0].rates.long.trial, 0.25))
+  assert.ok(close(analysis.interactions[0].effect, 0.1))
+
+  assert.deepStrictEqual(analyzeFactorial(results, { test }), analysis)
+  const analyses = analyzeResults({ landing: results }, { definitions: lua.definitions() })
+  assert.ok(close(analyses.landing.factorial.interactions[0].effect, 0.1))
+  assert.throws(() => analyzeFactorial(results, { test: { name: 'hero', buckets: {} } }))
+})
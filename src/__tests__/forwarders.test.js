@@ -0,0 +1,155 @@
+/**
+ * Tests for Analytics Forwarders
+ * Tests the schema, adapters, batching, retry and Lua / LuaPersonalize wiring
+ */
+
+require('../forwarders')
+require('../personalization')
+
+const LuaForwarders = global.LuaForwarders
+const LuaPersonalize = global.LuaPersonalize
+const Lua = require('../lua').default
+const MemoryStore = require('../stores/memory').default
+
+const templates = {
+    'gaming': { headline: 'Level Up Your Setup' },
+    'default': { headline: 'Welcome' }
+}
+
+const gamingContext = {
+    utm: { utm_source: 'reddit' },
+    referrer: { source: 'reddit', category: 'social', url: '' },
+    userAgent: { isMobile: false, isTablet: false, isDesktop: true, raw: '' },
+    hasUTM: true,
+    primaryIntent: 'gaming'
+}
+
+const wait = function (ms) {
+    return new Promise(function (resolve) { setTimeout(resolve, ms) })
+}
+
+describe('LuaForwarders', () => {
+    it('should be registered on global', () => {
+        expect(typeof LuaForwarders.createForwarder).toBe('function')
+        expect(typeof LuaForwarders.adapters.dataLayer).toBe('function')
+    })
+
+    describe('schema', () => {
+        it('should map assignments with the default schema', () => {
+            const event = LuaForwarders.mapEvent(null, 'assignment', { testName: 'hero', bucket: 'b', source: 'random' })
+            expect(event.name).toBe('lua_assignment')
+            expect(event.properties).toEqual({ test_name: 'hero', bucket: 'b', source: 'random', holdout: false })
+        })
+
+        it('should use custom schema entries and drop events mapped to null', () => {
+            const schema = {
+                decision: function (payload) { return { name: 'intent', properties: { value: payload.intent } } },
+                exposure: function () { return null }
+            }
+            expect(LuaForwarders.mapEvent(schema, 'decision', { intent: 'compare' }).properties).toEqual({ value: 'compare' })
+            expect(LuaForwarders.mapEvent(schema, 'exposure', {})).toBe(null)
+            expect(LuaForwarders.mapEvent(schema, 'personalize', { intent: 'gaming' }).name).toBe('lua_personalize')
+        })
+    })
+
+    describe('adapters', () => {
+        it('should push to a dataLayer', () => {
+            const dataLayer = []
+            const forwarder = LuaForwarders.createForwarder(LuaForwarders.adapters.dataLayer({ dataLayer: dataLayer }))
+            forwarder.track('assignment', { testName: 'hero', bucket: 'b', source: 'utm' })
+
+            expect(dataLayer).toEqual([{ event: 'lua_assignment', test_name: 'hero', bucket: 'b', source: 'utm', holdout: false }])
+        })
+
+        it('should call analytics.track', () => {
+            const analytics = { track: jest.fn() }
+            const forwarder = LuaForwarders.createForwarder(LuaForwarders.adapters.segment({ analytics: analytics }))
+            forwarder.track('decision', { intent: 'compare', confidence: 0.8 })
+
+            expect(analytics.track).toHaveBeenCalledWith('lua_intent_decision', expect.objectContaining({ intent: 'compare' }))
+        })
+
+        it('should batch beacons', () => {
+            const sendBeacon = jest.fn(function () { return true })
+            const forwarder = LuaForwarders.createForwarder(LuaForwarders.adapters.beacon({ url: '/collect', sendBeacon: sendBeacon }), { batchSize: 2 })
+            forwarder.track('assignment', { testName: 'a' })
+            expect(sendBeacon).not.toHaveBeenCalled()
+            forwarder.track('assignment', { testName: 'b' })
+
+            expect(sendBeacon).toHaveBeenCalledTimes(1)
+            expect(sendBeacon.mock.calls[0][0]).toBe('/collect')
+            expect(JSON.parse(sendBeacon.mock.calls[0][1]).events.length).toBe(2)
+        })
+
+        it('should require a beacon url', () => {
+            expect(() => LuaForwarders.adapters.beacon()).toThrow()
+        })
+    })
+
+    describe('batching and retry', () => {
+        it('should send a partial batch on flush', () => {
+            const adapter = { send: jest.fn() }
+            const forwarder = LuaForwarders.createForwarder(adapter, { batchSize: 5 })
+            forwarder.track('assignment', { testName: 'hero' })
+            expect(forwarder.pending().length).toBe(1)
+
+            return forwarder.flush().then(() => {
+                expect(adapter.send).toHaveBeenCalledTimes(1)
+                expect(forwarder.pending().length).toBe(0)
+            })
+        })
+
+        it('should retry failed batches', () => {
+            let calls = 0
+            const adapter = {
+                send: function () {
+                    calls++
+                    if (calls < 3) throw new Error('offline')
+                }
+            }
+            const forwarder = LuaForwarders.createForwarder(adapter, { retryDelay: 0 })
+            forwarder.track('assignment', { testName: 'hero' })
+
+            return wait(20).then(() => {
+                expect(calls).toBe(3)
+            })
+        })
+
+        it('should drop a batch after the last retry', () => {
+            const onError = jest.fn()
+            const adapter = { send: function () { return Promise.reject(new Error('offline')) } }
+            const forwarder = LuaForwarders.createForwarder(adapter, { retryDelay: 0, maxRetries: 1, onError: onError })
+            forwarder.track('assignment', { testName: 'hero' })
+
+            return wait(20).then(() => {
+                expect(onError).toHaveBeenCalledTimes(1)
+                expect(onError.mock.calls[0][1][0].name).toBe('lua_assignment')
+            })
+        })
+    })
+
+    describe('wiring', () => {
+        it('should forward Lua assignments and exposures', () => {
+            const tracked = []
+            const forwarder = { track: function (type, payload) { tracked.push([type, payload.testName]) } }
+            const lua = new Lua({ store: MemoryStore(), forwarders: [forwarder] })
+            lua.define({ name: 'hero', buckets: { control: { default: true } } })
+            lua.assign()
+
+            expect(tracked).toEqual([['assignment', 'hero'], ['exposure', 'hero']])
+        })
+
+        it('should forward applied LuaPersonalize templates', () => {
+            const tracked = []
+            const forwarder = { track: function (type, payload) { tracked.push([type, payload.intent]) } }
+            LuaPersonalize.personalize({
+                templates: templates,
+                context: gamingContext,
+                log: false,
+                forwarders: [forwarder]
+            })
+
+            expect(tracked).toEqual([['personalize', 'gaming']])
+        })
+    })
+})
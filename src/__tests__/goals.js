@@ -0,0 +1,130 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+
+const createTests = () => [
+  {
+    name: 'hero',
+    buckets: {
+      control: { weight: 1, default: true },
+    },
+  },
+  {
+    name: 'pricing',
+    buckets: {
+      annual: { weight: 1 },
+    },
+  },
+  {
+    name: 'footer',
+    active: false,
+    buckets: {
+      plain: { default: true },
+      fancy: {},
+    },
+  },
+]
+
+it('should count one exposure per newly assigned bucket', () => {
+  const store = MemoryStore()
+  const test = new Lua({ store })
+  test.define(createTests())
+  test.assign()
+  test.assign()
+
+  const results = test.results()
+  assert.strictEqual(results.hero.control.exposures, 1)
+  assert.strictEqual(results.pricing.annual.exposures, 1)
+  assert.ok(!results.footer)
+
+  // a returning visitor in the same bucket was already counted
+  const returning = new Lua({ store })
+  returning.define(createTests())
+  returning.assign()
+  assert.strictEqual(returning.results().hero.control.exposures, 1)
+})
+
+it('should attribute conversions to every enrolled test', () => {
+  const store = MemoryStore()
+  const test = new Lua({ store })
+  test.define(createTests())
+  test.assign()
+
+  const attributed = test.track('purchase', { value: 40 })
+  test.track('purchase', { value: 10 })
+  test.track('signup')
+
+  assert.deepStrictEqual(attributed, ['hero', 'pricing'])
+  assert.deepStrictEqual(test.results().hero.control, {
+    exposures: 1,
+    conversions: 1,
+    events: 3,
+    value: 50,
+    goals: {
+      purchase: { conversions: 1, events: 2, value: 50 },
+      signup: { conversions: 1, events: 1, value: 0 },
+    },
+  })
+})
+
+it('should count each visitor once per goal across page views', () => {
+  const store = MemoryStore()
+  const test = new Lua({ store })
+  test.define(createTests())
+  test.assign()
+  test.track('purchase')
+
+  const next = new Lua({ store })
+  next.define(createTests())
+  next.assign()
+  next.track('purchase')
+  next.track('purchase')
+
+  const control = next.results().hero.control
+  assert.strictEqual(control.exposures, 1)
+  assert.strictEqual(control.conversions, 1)
+  assert.strictEqual(control.events, 3)
+  assert.strictEqual(control.goals.purchase.conversions, 1)
+
+  // a new visitor converts too
+  const other = new Lua({ store: MemoryStore() })
+  other.define(createTests())
+  other.assign()
+  other.track('purchase')
+  assert.strictEqual(other.results().hero.control.conversions, 1)
+})
+
+it('should keep results in the configured store', () => {
+  const store = MemoryStore()
+  const test = new Lua({ store })
+  test.define(createTests())
+  test.assign()
+  test.track('purchase')
+
+  assert.strictEqual(JSON.parse(store.get('ab-tests-results')).pricing.annual.conversions, 1)
+  // the results are the visitor's own, the meta needs no record of conversions
+  assert.ok(!('conversions' in JSON.parse(store.get('ab-tests-meta') || '{}')))
+
+  const next = new Lua({ store })
+  assert.strictEqual(next.results().pricing.annual.conversions, 1)
+})
+
+it('should not attribute conversions to tests the visitor is excluded from', () => {
+  const test = new Lua({ store: MemoryStore() })
+  test.define({
+    name: 'ramp',
+    traffic: 0,
+    buckets: { control: { default: true }, variant: {} },
+  })
+  test.assign()
+
+  assert.deepStrictEqual(test.track('purchase'), [])
+  assert.deepStrictEqual(test.results(), {})
+})
+
+it('should require a goal name', () => {
+  const test = new Lua({ store: MemoryStore() })
+  assert.throws(() => test.track())
+})
@@ -0,0 +1,215 @@
+/**
+ * Tests for the Global Holdout
+ * Tests sticky membership and how Lua and LuaPersonalize treat held out visitors
+ */
+
+require('../forwarders')
+require('../holdout')
+require('../personalization')
+
+const LuaHoldout = global.LuaHoldout
+const LuaPersonalize = global.LuaPersonalize
+const Lua = require('../lua').default
+const MemoryStore = require('../stores/memory').default
+const { hashToUnit } = require('../utils')
+
+const createStorage = function () {
+    const items = {}
+    return {
+        getItem: function (key) { return key in items ? items[key] : null },
+        setItem: function (key, value) { items[key] = String(value) },
+        removeItem: function (key) { delete items[key] }
+    }
+}
+
+const templates = {
+    'gaming': { headline: 'Level Up Your Setup' },
+    'default': { headline: 'Welcome' }
+}
+
+const gamingContext = {
+    utm: { utm_source: 'reddit' },
+    referrer: { source: 'reddit', category: 'social', url: '' },
+    userAgent: { isMobile: false, isTablet: false, isDesktop: true, raw: '' },
+    hasUTM: true,
+    primaryIntent: 'gaming'
+}
+
+const test = {
+    name: 'hero',
+    buckets: {
+        control: { default: true },
+        variant: { weight: 100 }
+    }
+}
+
+describe('LuaHoldout', () => {
+    afterEach(() => {
+        LuaHoldout.reset()
+        document.body.innerHTML = ''
+        document.body.className = ''
+    })
+
+    describe('membership', () => {
+        it('should keep nobody out by default', () => {
+            expect(LuaHoldout.isInHoldout()).toBe(false)
+            expect(LuaHoldout.getStatus()).toEqual({ percentage: 0, inHoldout: false })
+        })
+
+        it('should store the roll so membership is sticky', () => {
+            const storage = createStorage()
+            LuaHoldout.configure({ percentage: 50, storage: storage })
+            const roll = LuaHoldout.getRoll()
+
+            expect(JSON.parse(storage.getItem('lua_holdout'))).toEqual({ roll: roll })
+            expect(LuaHoldout.isInHoldout()).toBe(roll * 100 < 50)
+
+            LuaHoldout.configure({ storage: storage })
+            expect(LuaHoldout.getRoll()).toBe(roll)
+        })
+
+        it('should use the stored roll against the percentage', () => {
+            const storage = createStorage()
+            storage.setItem('lua_holdout', JSON.stringify({ roll: 0.04 }))
+            LuaHoldout.configure({ percentage: 5, storage: storage })
+
+            expect(LuaHoldout.isInHoldout()).toBe(true)
+            expect(LuaHoldout.isInHoldout(3)).toBe(false)
+        })
+
+        it('should derive the roll from a userId', () => {
+            LuaHoldout.configure({ userId: 'visitor-1', storage: createStorage() })
+            const roll = LuaHoldout.getRoll()
+
+            LuaHoldout.configure({ userId: function () { return 'visitor-1' } })
+            expect(LuaHoldout.getRoll()).toBe(roll)
+        })
+
+        it('should hash a userId the same way as the bucketing', () => {
+            ['visitor-1', 'a', 'ab', 'abc', 'user@example.com'].forEach(function (userId) {
+                LuaHoldout.configure({ userId: userId })
+                expect(LuaHoldout.getRoll()).toBe(hashToUnit(userId + ':holdout'))
+            })
+        })
+
+        it('should reject invalid percentages', () => {
+            expect(() => LuaHoldout.configure({ percentage: 120 })).toThrow()
+            expect(() => LuaHoldout.configure({ percentage: '5' })).toThrow()
+            expect(() => LuaHoldout.configure({ percentage: 0.05 })).toThrow('not a fraction')
+        })
+    })
+
+    describe('Lua', () => {
+        beforeEach(() => {
+            LuaHoldout.configure({ percentage: 100, storage: createStorage() })
+        })
+
+        it('should assign default buckets without touching the page', () => {
+            const events = []
+            const lua = new Lua({ store: MemoryStore() })
+            lua.on('assign', function (event) { events.push(event) })
+            lua.define(test)
+            lua.assignAll()
+
+            expect(lua.assignments()).toEqual({ hero: 'control' })
+            expect(lua.isEnrolled('hero')).toBe(false)
+            expect(document.body.className).toBe('')
+            expect(events).toEqual([expect.objectContaining({ reason: 'holdout', source: 'default', holdout: true })])
+        })
+
+        it('should return the default bucket from assignWithUTM', () => {
+            const lua = new Lua({ store: MemoryStore() })
+            lua.define(test)
+
+            expect(lua.assignWithUTM('hero', { context: gamingContext })).toEqual({
+                assignment: 'control',
+                source: 'default',
+                enrolled: false,
+                reason: 'holdout',
+                holdout: true
+            })
+        })
+
+        it('should let the holdout option override the global', () => {
+            const lua = new Lua({ store: MemoryStore(), holdout: false })
+            lua.define(test)
+            lua.assignAll()
+
+            expect(lua.assignments()).toEqual({ hero: 'variant' })
+            expect(lua.serialize().holdout).toBe(false)
+        })
+
+        it('should take the holdout option as a percentage, not a fraction', () => {
+            expect(() => new Lua({ store: MemoryStore(), holdout: 0.05 })).toThrow('not a fraction')
+            expect(() => new Lua({ store: MemoryStore(), holdout: 120 })).toThrow()
+            expect(() => new Lua({ store: MemoryStore(), holdout: 0 })).not.toThrow()
+
+            LuaHoldout.configure({ storage: createStorage() })
+            const roll = LuaHoldout.getRoll()
+            const lua = new Lua({ store: MemoryStore(), holdout: 100 })
+            expect(lua.isInHoldout()).toBe(true)
+            expect(new Lua({ store: MemoryStore(), holdout: 1 }).isInHoldout()).toBe(roll < 0.01)
+        })
+
+        it('should hold out visitors the server rendered a bucket for', () => {
+            const lua = new Lua({ store: MemoryStore(), state: { assignments: { hero: 'variant' }, holdout: null } })
+            lua.define(test)
+            lua.assignAll()
+
+            expect(lua.assignments()).toEqual({ hero: 'control' })
+            expect(document.body.className).toBe('')
+        })
+
+        it('should roll a userId like LuaHoldout', () => {
+            ['visitor-1', 'visitor-2', 'visitor-3', 'visitor-4'].forEach(function (userId) {
+                LuaHoldout.configure({ percentage: 50, userId: userId })
+                const lua = new Lua({ store: MemoryStore(), userId: userId, holdout: 50 })
+                expect(lua.isInHoldout()).toBe(LuaHoldout.isInHoldout())
+            })
+        })
+
+        it('should still show QA previews', () => {
+            const lua = new Lua({ store: MemoryStore(), force: 'hero:variant' })
+            lua.define(test)
+            lua.assignAll()
+
+            expect(document.body.className).toBe('hero--variant')
+        })
+    })
+
+    describe('LuaPersonalize', () => {
+        it('should return the default template without running the engines', () => {
+            LuaHoldout.configure({ percentage: 100, storage: createStorage() })
+            document.body.innerHTML = '<h1 data-personalize="headline">Original</h1>'
+            const standardDecide = jest.spyOn(LuaPersonalize.engine, 'standardDecide')
+            const tracked = []
+
+            const decision = LuaPersonalize.personalize({
+                templates: templates,
+                context: gamingContext,
+                enableAI: true,
+                log: false,
+                forwarders: [{ track: function (type, payload) { tracked.push([type, payload.source]) } }]
+            })
+
+            expect(decision.template).toBe(templates.default)
+            expect(decision.source).toBe('holdout')
+            expect(decision.holdout).toBe(true)
+            expect(standardDecide).not.toHaveBeenCalled()
+            expect(document.querySelector('h1').textContent).toBe('Original')
+            expect(tracked).toEqual([['personalize', 'holdout']])
+            standardDecide.mockRestore()
+        })
+
+        it('should personalize visitors outside the holdout', () => {
+            const decision = LuaPersonalize.personalize({
+                templates: templates,
+                context: gamingContext,
+                log: false,
+                holdout: false
+            })
+
+            expect(decision.intent).toBe('gaming')
+        })
+    })
+})
@@ -0,0 +1,110 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+
+const createTests = () => [
+  {
+    name: 'hero-copy',
+    layer: 'hero',
+    buckets: {
+      control: { weight: 1, default: true },
+      bold: { weight: 1 },
+    },
+  },
+  {
+    name: 'hero-image',
+    layer: 'hero',
+    buckets: {
+      control: { weight: 1, default: true },
+      lifestyle: { weight: 1 },
+    },
+  },
+  {
+    name: 'pricing',
+    buckets: {
+      control: { weight: 1, default: true },
+      annual: { weight: 1 },
+    },
+  },
+]
+
+it('should enroll a visitor in at most one test per layer', () => {
+  for (let i = 0; i < 50; i++) {
+    const test = new Lua({ store: MemoryStore(), userId: `user-${i}` })
+    test.define(createTests())
+    test.assign()
+
+    const enrolled = ['hero-copy', 'hero-image'].filter(name => test.isEnrolled(name))
+    assert.strictEqual(enrolled.length, 1)
+    assert.ok(test.isEnrolled('pricing'))
+  }
+})
+
+it('should serve the default bucket for the other tests in the layer', () => {
+  const test = new Lua({ store: MemoryStore() })
+  test.define(createTests())
+  test.assign()
+
+  const other = test.isEnrolled('hero-copy') ? 'hero-image' : 'hero-copy'
+  assert.strictEqual(test.assignments()[other], 'control')
+  assert.strictEqual(test.exclusions[other], 'layer')
+})
+
+it('should split a layer between its tests', () => {
+  const counts = { 'hero-copy': 0, 'hero-image': 0 }
+  for (let i = 0; i < 1000; i++) {
+    const test = new Lua({ store: MemoryStore(), userId: `user-${i}` })
+    test.define(createTests())
+    counts[test.getLayerTest('hero')]++
+  }
+
+  assert.ok(counts['hero-copy'] > 400)
+  assert.ok(counts['hero-image'] > 400)
+})
+
+it('should persist the layer choice in the store', () => {
+  const store = MemoryStore()
+  const first = new Lua({ store })
+  first.define(createTests())
+  first.assign()
+  const chosen = first.getLayerTest('hero')
+
+  assert.strictEqual(JSON.parse(store.get('ab-tests-meta')).layers.hero, chosen)
+
+  for (let i = 0; i < 20; i++) {
+    const test = new Lua({ store })
+    test.define(createTests().concat({
+      name: 'hero-video',
+      layer: 'hero',
+      buckets: { control: { default: true }, video: {} },
+    }))
+    test.assign()
+    assert.strictEqual(test.getLayerTest('hero'), chosen)
+    assert.ok(test.isEnrolled(chosen))
+  }
+})
+
+it('should skip inactive tests when choosing within a layer', () => {
+  const tests = createTests()
+  tests[0].active = false
+
+  const test = new Lua({ store: MemoryStore() })
+  test.define(tests)
+  test.assign()
+
+  assert.strictEqual(test.getLayerTest('hero'), 'hero-image')
+})
+
+it('should move the layer to a manually assigned test', () => {
+  const store = MemoryStore()
+  const test = new Lua({ store })
+  test.define(createTests())
+  test.assign()
+  const other = test.getLayerTest('hero') === 'hero-copy' ? 'hero-image' : 'hero-copy'
+
+  test.assign(other, 'control')
+  assert.ok(test.isEnrolled(other))
+  assert.strictEqual(JSON.parse(store.get('ab-tests-meta')).layers.hero, other)
+})
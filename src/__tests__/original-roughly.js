@@ -49,6 +49,7 @@ it('should create an equally weighted AB test', () => {
       store: {
         get: () => { },
         set: () => { },
+        remove: () => { },
         isSupported: () => true,
       },
     })
@@ -84,6 +85,7 @@ it('should create an unequally weighted AB test', () => {
       store: {
         get: () => { },
         set: () => { },
+        remove: () => { },
         isSupported: () => true,
       },
     })
@@ -119,6 +121,7 @@ it('should create an unequally weighted ABCD test', () => {
       store: {
         get: () => { },
         set: () => { },
+        remove: () => { },
         isSupported: () => true,
       },
     })
@@ -158,6 +161,7 @@ it('should create a test with 0% weighted buckets', () => {
       store: {
         get: () => { },
         set: () => { },
+        remove: () => { },
         isSupported: () => true,
       },
     })
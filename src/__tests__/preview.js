@@ -0,0 +1,114 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+import { parseForcedAssignments } from '../utils'
+import '../utm'
+import '../personalization'
+
+const createTests = () => [
+  {
+    name: 'hero_test',
+    buckets: {
+      control: { weight: 1, default: true },
+      variant_b: { weight: 0 },
+    },
+  },
+  {
+    name: 'pricing',
+    buckets: {
+      control: { default: true },
+      annual: { winner: true },
+    },
+  },
+]
+
+const templates = {
+  gaming: { headline: 'Level Up Your Setup' },
+  default: { headline: 'Welcome' },
+}
+
+afterEach(() => {
+  window.history.replaceState({}, '', '/')
+})
+
+it('should parse forced assignments', () => {
+  const { getQueryParam } = window.LuaUTM
+  assert.strictEqual(getQueryParam('?a=1&lua_force=x%3Ay', 'lua_force'), 'x:y')
+  assert.strictEqual(getQueryParam('?a=1', 'lua_force'), null)
+  assert.deepStrictEqual(parseForcedAssignments('hero_test:variant_b, pricing:control,broken'), {
+    hero_test: 'variant_b',
+    pricing: 'control',
+  })
+})
+
+it('should force buckets from the URL without persisting them', () => {
+  window.history.replaceState({}, '', '/?lua_force=hero_test:variant_b,pricing:control')
+  const store = MemoryStore()
+  const lua = new Lua({ store })
+  lua.define(createTests())
+  lua.assign()
+
+  assert.deepStrictEqual(lua.assignments(), { hero_test: 'variant_b', pricing: 'control' })
+  assert.ok(lua.isPreview())
+  assert.ok(lua.isPreview('hero_test'))
+  assert.strictEqual(store.get('ab-tests'), '{}')
+})
+
+it('should not count previews in the results', () => {
+  const lua = new Lua({ store: MemoryStore(), force: { hero_test: 'variant_b' } })
+  lua.define(createTests())
+  const events = []
+  lua.on('assign', payload => events.push(payload))
+  lua.assign()
+
+  assert.deepStrictEqual(lua.track('purchase'), [])
+  assert.deepStrictEqual(lua.results(), {})
+  assert.strictEqual(events[0].source, 'forced')
+  assert.strictEqual(events[0].preview, true)
+  assert.strictEqual(events[1].preview, false)
+})
+
+it('should keep the real bucket for after the preview', () => {
+  const store = MemoryStore()
+  const lua = new Lua({ store })
+  lua.define(createTests())
+  lua.assign()
+
+  const preview = new Lua({ store, force: 'hero_test:variant_b' })
+  preview.define(createTests())
+  preview.assign()
+  assert.strictEqual(preview.assignments().hero_test, 'variant_b')
+
+  const after = new Lua({ store })
+  after.define(createTests())
+  after.assign()
+  assert.strictEqual(after.assignments().hero_test, 'control')
+})
+
+it('should report previews from assignWithUTM', () => {
+  const lua = new Lua({ store: MemoryStore(), force: { hero_test: 'variant_b', pricing: 'unknown' } })
+  lua.define(createTests())
+  const results = lua.assignWithUTM()
+
+  assert.deepStrictEqual(results.hero_test, {
+    assignment: 'variant_b',
+    source: 'forced',
+    enrolled: false,
+    preview: true,
+  })
+  assert.strictEqual(results.pricing.source, 'winner')
+})
+
+it('should force personalization intents', () => {
+  window.history.replaceState({}, '', '/?lua_force_intent=gaming')
+  const decision = window.LuaPersonalize.personalize({ templates, log: false })
+
+  assert.strictEqual(decision.intent, 'gaming')
+  assert.strictEqual(decision.source, 'forced')
+  assert.strictEqual(decision.preview, true)
+
+  const unknown = window.LuaPersonalize.personalize({ templates, log: false, forceIntent: 'nope' })
+  assert.notStrictEqual(unknown.source, 'forced')
+})
@@ -0,0 +1,129 @@
+/**
+ * Tests for data export and erasure
+ * Tests that every Lua storage key is exported and erased
+ */
+
+require('../consent')
+require('../storage/weighted-history')
+require('../privacy')
+
+const LuaConsent = global.LuaConsent
+const LuaPrivacy = global.LuaPrivacy
+const LuaWeightedHistory = global.LuaWeightedHistory
+const Lua = require('../lua').default
+const MemoryStore = require('../stores/memory').default
+
+const test = {
+    name: 'hero',
+    buckets: {
+        control: { default: true },
+        variant: {}
+    }
+}
+
+const seed = function () {
+    localStorage.setItem('lua_intent_history', JSON.stringify([{ intent: 'buy_now' }]))
+    localStorage.setItem('lua_ai_cache_abc', JSON.stringify({ decision: { intent: 'gaming' } }))
+    localStorage.setItem('lua_holdout', JSON.stringify({ roll: 0.5 }))
+    localStorage.setItem('lua_consent', 'granted')
+    localStorage.setItem('unrelated', 'kept')
+    LuaWeightedHistory.recordVisit({ intent: 'gaming', context: {} })
+}
+
+const createLua = function () {
+    const lua = new Lua({ store: MemoryStore(), root: document.body })
+    lua.define(test)
+    lua.assign('hero', 'variant')
+    lua.track('signup')
+    return lua
+}
+
+describe('LuaPrivacy', () => {
+    afterEach(() => {
+        LuaConsent.reset()
+        localStorage.clear()
+        document.body.className = ''
+    })
+
+    describe('exportData', () => {
+        it('should export every Lua storage key', () => {
+            seed()
+            const lua = createLua()
+
+            return LuaPrivacy.exportData({ lua: lua }).then((data) => {
+                expect(typeof data.exportedAt).toBe('string')
+                expect(Object.keys(data.storage).sort()).toEqual([
+                    'lua_ai_cache_abc',
+                    'lua_consent',
+                    'lua_holdout',
+                    'lua_intent_history',
+                    'lua_personalize_history'
+                ])
+                expect(data.storage.lua_intent_history).toEqual([{ intent: 'buy_now' }])
+                expect(data.storage.lua_personalize_history.visits[0].intent).toBe('gaming')
+                expect(data.lua['ab-tests']).toEqual({ hero: 'variant' })
+                expect(data.lua['ab-tests-results'].hero.variant.exposures).toBe(1)
+            })
+        })
+
+        it('should include data kept in memory until consent', () => {
+            localStorage.setItem('lua_intent_history', JSON.stringify([{ intent: 'old' }]))
+            LuaConsent.configure()
+            LuaConsent.storage().setItem('lua_holdout', JSON.stringify({ roll: 0.2 }))
+            const lua = createLua()
+
+            return LuaPrivacy.exportData({ lua: lua }).then((data) => {
+                expect(data.storage.lua_holdout).toEqual({ roll: 0.2 })
+                expect(data.storage.lua_intent_history).toEqual([{ intent: 'old' }])
+                expect(data.lua['ab-tests']).toEqual({ hero: 'variant' })
+            })
+        })
+    })
+
+    describe('erase', () => {
+        it('should erase every Lua storage key except the consent decision', () => {
+            seed()
+            const lua = createLua()
+
+            return LuaPrivacy.erase({ lua: lua }).then((result) => {
+                expect(result.userId).toBe(null)
+                expect(result.removed).toEqual(expect.arrayContaining([
+                    'lua_intent_history',
+                    'lua_ai_cache_abc',
+                    'lua_holdout',
+                    'lua_personalize_history',
+                    'ab-tests',
+                    'ab-tests-results'
+                ]))
+                expect(Object.keys(localStorage).sort()).toEqual(['lua_consent', 'unrelated'])
+                expect(lua.store.get('ab-tests')).toBeUndefined()
+                expect(lua.assignments()).toEqual({})
+                expect(lua.results()).toEqual({})
+                expect(document.body.className).toBe('')
+            })
+        })
+
+        it('should start over with a new random user ID', () => {
+            seed()
+            const previous = LuaWeightedHistory.getUserId()
+
+            return LuaPrivacy.erase({ newUserId: true }).then((result) => {
+                expect(typeof result.userId).toBe('string')
+                expect(result.userId).not.toBe(previous)
+                expect(LuaWeightedHistory.getUserId()).toBe(result.userId)
+                expect(LuaWeightedHistory.getHistory().visits).toEqual([])
+            })
+        })
+
+        it('should let Lua bucket the visitor again', () => {
+            const lua = createLua()
+
+            return lua.erase().then((keys) => {
+                expect(keys).toEqual(['ab-tests', 'ab-tests-meta', 'ab-tests-results', 'ab-tests-definitions'])
+                lua.assign()
+                expect(Object.keys(lua.assignments())).toEqual(['hero'])
+                expect(lua.store.get('ab-tests')).toBeDefined()
+            })
+        })
+    })
+})
@@ -0,0 +1,122 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+
+const START = Date.parse('2026-11-01T00:00:00Z')
+const END = Date.parse('2026-11-30T00:00:00Z')
+
+it('should serve the default bucket before the start', () => {
+  const store = MemoryStore()
+  const test = new Lua({ store, now: () => START - 1 })
+  test.define({
+    name: 'black-friday',
+    startAt: '2026-11-01T00:00:00Z',
+    endAt: new Date(END),
+    buckets: {
+      control: { weight: 1, default: true },
+      promo: { weight: 1 },
+    },
+  })
+  test.assign()
+
+  assert.strictEqual(test.assignments()['black-friday'], 'control')
+  assert.strictEqual(test.exclusions['black-friday'], 'schedule')
+  assert.deepStrictEqual(JSON.parse(store.get('ab-tests')), {})
+})
+
+it('should bucket visitors inside the window', () => {
+  const test = new Lua({ store: MemoryStore(), now: () => START })
+  test.define({
+    name: 'black-friday',
+    startAt: '2026-11-01T00:00:00Z',
+    endAt: new Date(END),
+    buckets: {
+      control: { weight: 1, default: true },
+      promo: { weight: 1 },
+    },
+  })
+  test.assign()
+
+  assert.ok(test.isEnrolled('black-friday'))
+})
+
+it('should serve the winner after the end', () => {
+  const test = new Lua({ store: MemoryStore(), now: () => END + 1 })
+  test.define({
+    name: 'black-friday',
+    startAt: '2026-11-01T00:00:00Z',
+    endAt: new Date(END),
+    buckets: {
+      control: { weight: 1, default: true },
+      promo: { weight: 1, winner: true },
+    },
+  })
+  test.assign()
+
+  assert.strictEqual(test.assignments()['black-friday'], 'promo')
+})
+
+it('should keep an existing bucket while the test is closed', () => {
+  const store = MemoryStore()
+  store.set('ab-tests', JSON.stringify({ 'black-friday': 'promo' }))
+
+  const closed = new Lua({ store, now: () => END })
+  closed.define({
+    name: 'black-friday',
+    startAt: '2026-11-01T00:00:00Z',
+    endAt: new Date(END),
+    buckets: {
+      control: { weight: 1, default: true },
+      promo: { weight: 1 },
+    },
+  })
+  closed.assign()
+  assert.strictEqual(closed.assignments()['black-friday'], 'control')
+
+  const reopened = new Lua({ store, now: () => START })
+  reopened.define({
+    name: 'black-friday',
+    startAt: '2026-11-01T00:00:00Z',
+    endAt: END + 1000,
+    buckets: {
+      control: { weight: 1, default: true },
+      promo: { weight: 1 },
+    },
+  })
+  reopened.assign()
+  assert.strictEqual(reopened.assignments()['black-friday'], 'promo')
+})
+
+it('should apply the schedule to assignWithUTM', () => {
+  const test = new Lua({ store: MemoryStore(), now: () => START - 1 })
+  test.define({
+    name: 'black-friday',
+    startAt: '2026-11-01T00:00:00Z',
+    endAt: new Date(END),
+    buckets: {
+      control: { weight: 1, default: true },
+      promo: { weight: 1 },
+    },
+  })
+  const result = test.assignWithUTM('black-friday', { context: { hasUTM: false } })
+
+  assert.strictEqual(result.assignment, 'control')
+  assert.strictEqual(result.reason, 'schedule')
+})
+
+it('should reject invalid schedules', () => {
+  const test = new Lua({ store: MemoryStore() })
+  assert.throws(() => test.define({
+    name: 'black-friday',
+    startAt: 'not a date',
+    buckets: { control: {}, promo: {} },
+  }))
+  assert.throws(() => test.define({
+    name: 'black-friday',
+    startAt: END,
+    endAt: START,
+    buckets: { control: {}, promo: {} },
+  }))
+})
@@ -0,0 +1,125 @@
+/**
+ * @jest-environment node
+ */
+
+import assert from 'assert'
+
+import Lua from '../lua'
+import MemoryStore from '../stores/memory'
+import {
+  assignRequest,
+  cookieHeaderStore,
+  parseCookies,
+  renderState,
+  serializeState,
+} from '../server'
+
+const createTests = () => [
+  {
+    name: 'hero',
+    buckets: {
+      control: { weight: 0, default: true },
+      variant: { weight: 1 },
+    },
+  },
+  {
+    name: 'ramp',
+    traffic: 0,
+    buckets: {
+      off: { default: true },
+      on: {},
+    },
+  },
+]
+
+it('should run without a document', () => {
+  assert.strictEqual(typeof document, 'undefined')
+})
+
+it('should parse Cookie headers', () => {
+  assert.deepStrictEqual(parseCookies('a=1; ab-tests=%7B%7D; b="quoted"; a=2'), {
+    a: '1',
+    'ab-tests': '{}',
+    b: 'quoted',
+  })
+  assert.deepStrictEqual(parseCookies(undefined), {})
+})
+
+it('should collect Set-Cookie values', () => {
+  const store = cookieHeaderStore('ab-tests=%7B%22hero%22%3A%22control%22%7D', { sameSite: 'lax', maxAge: 60 })
+  assert.strictEqual(store.get('ab-tests'), '{"hero":"control"}')
+
+  store.set('ab-tests', '{}')
+  store.remove('ab-tests-meta')
+  assert.deepStrictEqual(store.getSetCookieHeaders(), [
+    'ab-tests=%7B%7D; max-age=60; path=/; samesite=lax',
+    `ab-tests-meta=; max-age=0; expires=${new Date(0).toUTCString()}; path=/; samesite=lax`,
+  ])
+})
+
+it('should assign a request and keep returning visitors in their bucket', () => {
+  const first = assignRequest('', createTests())
+  assert.deepStrictEqual(first.assignments, { hero: 'variant', ramp: 'off' })
+  assert.deepStrictEqual(first.classNames, ['hero--variant', 'ramp--off'])
+
+  const cookieHeader = first.setCookies.map(cookie => cookie.split(';')[0]).join('; ')
+  const tests = createTests()
+  tests[0].buckets = { control: { weight: 1, default: true }, variant: { weight: 0 } }
+  const returning = assignRequest(cookieHeader, tests)
+  assert.strictEqual(returning.assignments.hero, 'variant')
+  assert.strictEqual(returning.lua.assignmentSources.hero, 'persisted')
+})
+
+it('should keep results out of the cookies', () => {
+  const { lua, setCookies } = assignRequest('', createTests())
+  lua.track('signup')
+
+  assert.ok(Object.keys(lua.results()).length > 0)
+  assert.deepStrictEqual(setCookies.map(cookie => cookie.split('=')[0]).sort(), ['ab-tests', 'ab-tests-meta'])
+  assert.strictEqual(lua.resultsStore.type, 'memory')
+})
+
+it('should decide a holdout percentage from the userId', () => {
+  assert.throws(() => assignRequest('', createTests(), { holdout: 5 }), /userId/)
+  assert.strictEqual(assignRequest('', createTests()).lua.serialize().holdout, null)
+
+  const { lua: server } = assignRequest('', createTests(), { userId: 'visitor-1', holdout: 100 })
+  assert.deepStrictEqual(server.assignments(), { hero: 'control', ramp: 'off' })
+
+  const state = JSON.parse(JSON.stringify(server.serialize()))
+  assert.strictEqual(state.holdout, true)
+  const browser = new Lua({ store: MemoryStore(), state })
+  browser.define(createTests())
+  browser.assign()
+  assert.strictEqual(browser.assignments().hero, 'control')
+  assert.ok(!browser.isEnrolled('hero'))
+})
+
+it('should render the state safely', () => {
+  assert.strictEqual(serializeState({ a: '</script>' }), '{"a":"\\u003c/script\\u003e"}')
+
+  const { lua } = assignRequest('', createTests())
+  const script = renderState(lua, { nonce: 'abc' })
+  assert.ok(script.indexOf('<script nonce="abc">window.__LUA_STATE__ = ') === 0)
+  assert.ok(script.indexOf('"hero":"variant"') !== -1)
+})
+
+it('should hydrate the browser from the server state', () => {
+  const { lua: server } = assignRequest('', createTests())
+  const state = JSON.parse(JSON.stringify(server.serialize()))
+
+  // weights that would bucket the visitor elsewhere
+  const tests = createTests()
+  tests[0].buckets = { control: { weight: 1, default: true }, variant: { weight: 0 } }
+
+  const browser = new Lua({ store: MemoryStore(), state })
+  browser.define(tests)
+  const events = []
+  browser.on('assign', payload => events.push(payload))
+  browser.assign()
+
+  assert.deepStrictEqual(browser.assignments(), { hero: 'variant', ramp: 'off' })
+  assert.ok(browser.isEnrolled('hero'))
+  assert.ok(!browser.isEnrolled('ramp'))
+  assert.strictEqual(events[0].source, 'random')
+})
@@ -0,0 +1,133 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+import {
+  analyze,
+  analyzeResults,
+  chiSquarePValue,
+  normalCdf,
+  normalQuantile,
+  probabilityBetaBeats,
+  rateInterval,
+} from '../stats'
+
+const close = (a, b, precision = 1e-3) => Math.abs(a - b) < precision
+
+it('should compute the standard distributions', () => {
+  assert.ok(close(normalCdf(1.96), 0.975))
+  assert.ok(close(normalCdf(-1.96), 0.025))
+  assert.ok(close(normalQuantile(0.975), 1.96))
+  assert.ok(close(chiSquarePValue(3.841, 1), 0.05))
+  assert.ok(close(chiSquarePValue(7.815, 3), 0.05))
+  assert.ok(close(probabilityBetaBeats(1, 1, 1, 1), 0.5))
+})
+
+it('should compute a Wilson interval around the rate', () => {
+  const [low, high] = rateInterval(100, 1000, 1.96)
+  assert.ok(low < 0.1 && high > 0.1)
+  assert.ok(close(low, 0.0829) && close(high, 0.1202))
+  assert.deepStrictEqual(rateInterval(0, 0, 1.96), [0, 1])
+})
+
+it('should compare variants with the control', () => {
+  const analysis = analyze({
+    control: { exposures: 1000, conversions: 100 },
+    variant: { exposures: 1000, conversions: 130 },
+  })
+
+  const variant = analysis.buckets.variant
+  assert.strictEqual(analysis.control, 'control')
+  assert.ok(close(analysis.buckets.control.rate, 0.1))
+  assert.ok(close(variant.lift, 0.3))
+  assert.ok(close(variant.pValue, 0.0355))
+  assert.ok(variant.differenceInterval[0] > 0)
+  assert.ok(variant.probabilityToBeatControl > 0.97)
+  assert.deepStrictEqual(analysis.recommendation, { winner: 'variant', reason: 'beats-control' })
+})
+
+it('should flag a sample ratio mismatch', () => {
+  const analysis = analyze({
+    control: { exposures: 1000, conversions: 100 },
+    variant: { exposures: 800, conversions: 130 },
+  })
+
+  assert.ok(analysis.srm.mismatch)
+  assert.strictEqual(analysis.recommendation.reason, 'sample-ratio-mismatch')
+
+  const weighted = analyze({
+    control: { exposures: 1000, conversions: 100 },
+    variant: { exposures: 250, conversions: 30 },
+  }, { expected: { control: 0.8, variant: 0.2 } })
+  assert.ok(!weighted.srm.mismatch)
+})
+
+it('should not recommend a winner without enough data or a clear result', () => {
+  assert.strictEqual(analyze({
+    control: { exposures: 50, conversions: 5 },
+    variant: { exposures: 50, conversions: 10 },
+  }).recommendation.reason, 'insufficient-data')
+
+  assert.deepStrictEqual(analyze({
+    control: { exposures: 1000, conversions: 100 },
+    variant: { exposures: 1000, conversions: 102 },
+  }).recommendation, { winner: null, reason: 'inconclusive' })
+
+  assert.deepStrictEqual(analyze({
+    control: { exposures: 1000, conversions: 130 },
+    variant: { exposures: 1000, conversions: 90 },
+  }).recommendation, { winner: 'control', reason: 'control-wins' })
+})
+
+it('should analyze a single goal', () => {
+  const analysis = analyze({
+    control: { exposures: 10, conversions: 4, goals: { signup: { conversions: 1 } } },
+    variant: { exposures: 10, conversions: 2, goals: { signup: { conversions: 2 } } },
+  }, { goal: 'signup', minExposures: 0 })
+
+  assert.strictEqual(analysis.buckets.control.conversions, 1)
+  assert.strictEqual(analysis.buckets.variant.conversions, 2)
+})
+
+it('should analyze lua.results() using the test definitions', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  lua.define({
+    name: 'hero',
+    buckets: {
+      variant: { weight: 1 },
+      control: { weight: 1, default: true },
+    },
+  })
+  lua.assign('hero', 'variant')
+  lua.track('purchase')
+
+  const analyses = analyzeResults(lua.results(), { definitions: lua.definitions() })
+  assert.strictEqual(analyses.hero.control, 'control')
+  assert.strictEqual(analyses.hero.buckets.control.exposures, 0)
+  assert.strictEqual(analyses.hero.buckets.variant.conversions, 1)
+})
+
+it('should reject an unknown control', () => {
+  assert.throws(() => analyze({ a: { exposures: 1 } }, { control: 'b' }))
+  assert.throws(() => analyze({}))
+})
+
+it('should reject invalid counts', () => {
+  assert.throws(
+    () => analyze({ control: { exposures: 100, conversions: 10 }, variant: { exposures: 120, conversions: 150 } }),
+    /Bucket "variant" has more conversions \(150\) than exposures \(120\)/
+  )
+  assert.throws(
+    () => analyze({ control: { exposures: -1, conversions: 0 }, variant: { exposures: 10, conversions: 1 } }),
+    /Bucket "control" exposures must be a number >= 0/
+  )
+  assert.throws(
+    () => analyze({ control: { exposures: 10, conversions: '1' }, variant: { exposures: 10, conversions: 1 } }),
+    /Bucket "control" conversions must be a number >= 0/
+  )
+  assert.throws(
+    () => analyze({ control: { exposures: 10 }, variant: { exposures: 10, goals: { buy: { conversions: 11 } } } }, { goal: 'buy' }),
+    /more conversions/
+  )
+})
@@ -0,0 +1,214 @@
+
+import assert from 'assert'
+
+import browserCookie, { serializeCookie } from '../stores/browser-cookie'
+import composite from '../stores/composite'
+import indexedDb from '../stores/indexed-db'
+import local from '../stores/local'
+import memory from '../stores/memory'
+import session from '../stores/session'
+import Lua from '../lua'
+import { validateStore } from '../utils'
+
+const clearCookies = () => {
+  document.cookie.split(';').forEach((cookie) => {
+    const name = cookie.split('=')[0].trim()
+    if (name) document.cookie = `${name}=; expires=${new Date(0).toUTCString()}; path=/`
+  })
+}
+
+afterEach(clearCookies)
+
+it('should serialize cookie attributes', () => {
+  assert.strictEqual(
+    serializeCookie('ab tests', '{"a":"b"}', {
+      domain: '.example.com',
+      sameSite: 'lax',
+      secure: true,
+      maxAge: 60,
+    }),
+    'ab%20tests=%7B%22a%22%3A%22b%22%7D; max-age=60; domain=.example.com; path=/; samesite=lax; secure'
+  )
+  assert.strictEqual(serializeCookie('a', 'b', { path: '/shop' }), 'a=b; path=/shop')
+})
+
+it('should default to a 400 day cookie and secure SameSite=None cookies', () => {
+  const cookies = []
+  Object.defineProperty(document, 'cookie', {
+    configurable: true,
+    get: () => '',
+    set: (value) => { cookies.push(value) },
+  })
+
+  try {
+    browserCookie().set('a', 'b')
+    browserCookie({ sameSite: 'None' }).set('a', 'b')
+  } finally {
+    // back to the jsdom cookie jar
+    delete document.cookie
+  }
+
+  assert.strictEqual(cookies[0], `a=b; max-age=${400 * 24 * 60 * 60}; path=/`)
+  assert.ok(/samesite=none; secure$/.test(cookies[1]))
+})
+
+it('should set, get and remove cookies', () => {
+  const store = browserCookie({ sameSite: 'strict' })
+  store.set('ab-tests', '{"hero":"control"}')
+  assert.strictEqual(store.get('ab-tests'), '{"hero":"control"}')
+
+  store.remove('ab-tests')
+  assert.strictEqual(store.get('ab-tests'), null)
+})
+
+it('should reject unknown SameSite values', () => {
+  assert.throws(() => browserCookie({ sameSite: 'sometimes' }))
+})
+
+it('should remove keys from every built-in store', () => {
+  [local(), memory()].forEach((store) => {
+    validateStore(store)
+    store.set('key', 'value')
+    store.remove('key')
+    assert.ok(store.get('key') == null)
+  })
+})
+
+it('should require stores to implement remove', () => {
+  assert.throws(() => validateStore({
+    get: () => null,
+    set: () => {},
+    isSupported: () => true,
+  }), /remove/)
+})
+
+// just enough of IndexedDB for the store, requests succeed asynchronously
+const createFakeIndexedDB = () => {
+  const data = {}
+  const request = (fn) => {
+    const req = {}
+    setTimeout(() => {
+      req.result = fn()
+      req.onsuccess()
+    })
+    return req
+  }
+  const objectStore = {
+    put: (val, key) => request(() => { data[key] = val }),
+    delete: key => request(() => { delete data[key] }),
+    getAllKeys: () => request(() => Object.keys(data)),
+    getAll: () => request(() => Object.keys(data).map(key => data[key])),
+  }
+  const db = { transaction: () => ({ objectStore: () => objectStore }) }
+  return { data, open: () => request(() => db) }
+}
+
+it('should use sessionStorage', () => {
+  const store = session()
+  validateStore(store)
+  store.set('ab-tests', '{}')
+  assert.strictEqual(sessionStorage.getItem('ab-tests'), '{}')
+  store.remove('ab-tests')
+  assert.strictEqual(store.get('ab-tests'), null)
+})
+
+it('should persist to IndexedDB and load it back', () => {
+  const fake = createFakeIndexedDB()
+  const store = indexedDb({ indexedDB: fake })
+  validateStore(store)
+  store.set('ab-tests', '{"hero":"control"}')
+  store.set('ab-tests-meta', '{}')
+  store.remove('ab-tests-meta')
+  assert.strictEqual(store.get('ab-tests'), '{"hero":"control"}')
+
+  return store.flush().then(() => {
+    assert.deepStrictEqual(fake.data, { 'ab-tests': '{"hero":"control"}' })
+
+    const next = indexedDb({ indexedDB: fake })
+    assert.strictEqual(next.get('ab-tests'), null)
+    return next.load()
+  }).then((next) => {
+    assert.strictEqual(next.get('ab-tests'), '{"hero":"control"}')
+  })
+})
+
+it('should only support IndexedDB where it exists', () => {
+  assert.strictEqual(indexedDb().isSupported(), typeof indexedDB !== 'undefined')
+})
+
+it('should write through and read from the first store with data', () => {
+  const first = memory()
+  const second = memory()
+  const store = composite([first, second])
+  validateStore(store)
+
+  store.set('key', 'value')
+  assert.strictEqual(first.get('key'), 'value')
+  assert.strictEqual(second.get('key'), 'value')
+
+  first.remove('key')
+  assert.strictEqual(store.get('key'), 'value')
+
+  store.remove('key')
+  assert.strictEqual(store.get('key'), null)
+})
+
+it('should skip blocked stores', () => {
+  const blocked = {
+    get: () => { throw new Error('blocked') },
+    set: () => { throw new Error('blocked') },
+    remove: () => { throw new Error('blocked') },
+    isSupported: () => true,
+  }
+  const unsupported = Object.assign(memory(), { isSupported: () => false })
+  const fallback = memory()
+  const store = composite([blocked, unsupported, fallback])
+
+  store.set('key', 'value')
+  assert.strictEqual(store.get('key'), 'value')
+  assert.strictEqual(unsupported.get('key'), undefined)
+  assert.ok(!composite([unsupported]).isSupported())
+})
+
+it('should load asynchronous stores inside a composite', () => {
+  const fake = createFakeIndexedDB()
+  fake.data['ab-tests'] = '{"hero":"control"}'
+  const failing = Object.assign(memory(), { load: () => Promise.reject(new Error('blocked')) })
+  const store = composite([indexedDb({ indexedDB: fake }), failing, memory()])
+  assert.ok(!('load' in composite([memory()])))
+
+  const lua = new Lua({ store })
+  lua.define({ name: 'hero', buckets: { control: { default: true }, variant: { weight: 100 } } })
+  return lua.assign().then(() => {
+    assert.strictEqual(lua.assignments().hero, 'control')
+    assert.strictEqual(lua.describeAssignment('hero').source, 'persisted')
+  })
+})
+
+it('should keep cached definitions and results out of cookies', () => {
+  const tests = [{ name: 'hero', buckets: { control: { default: true }, variant: {} } }]
+  const fetch = () => Promise.resolve({
+    status: 200,
+    ok: true,
+    headers: { get: () => null },
+    json: () => Promise.resolve({ tests }),
+  })
+  const definitionsUrl = 'https://cdn.example.com/experiments.json'
+
+  const lua = new Lua({ store: composite([browserCookie(), memory()]), fetch })
+  assert.strictEqual(lua.definitionsStore.type, 'local')
+  assert.strictEqual(lua.resultsStore.type, 'local')
+  const own = memory()
+  assert.strictEqual(new Lua({ store: browserCookie(), definitionsStore: own }).definitionsStore, own)
+
+  return lua.loadDefinitions(definitionsUrl).then(() => {
+    lua.assign()
+    assert.ok(document.cookie.indexOf('ab-tests=') !== -1)
+    assert.strictEqual(document.cookie.indexOf('ab-tests-definitions'), -1)
+    assert.strictEqual(JSON.parse(localStorage.getItem('ab-tests-definitions')).url, definitionsUrl)
+    assert.strictEqual(document.cookie.indexOf('ab-tests-results'), -1)
+    assert.strictEqual(JSON.parse(localStorage.getItem('ab-tests-results')).hero[lua.assignments().hero].exposures, 1)
+
+    localStorage.clear()
+  })
+})
@@ -0,0 +1,131 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+
+// in-page stand-in for BroadcastChannel, delivering to every other channel with the same name
+const channels = []
+class FakeBroadcastChannel {
+  constructor(name) {
+    this.name = name
+    this.onmessage = null
+    channels.push(this)
+  }
+
+  postMessage(data) {
+    channels
+      .filter(channel => channel !== this && channel.name === this.name && channel.onmessage)
+      .forEach(channel => channel.onmessage({ data: JSON.parse(JSON.stringify(data)) }))
+  }
+
+  close() {
+    channels.splice(channels.indexOf(this), 1)
+  }
+}
+
+const test = {
+  name: 'hero',
+  buckets: {
+    control: { default: true },
+    variant: {},
+  },
+}
+
+const createTab = (options = {}) => {
+  const lua = new Lua(Object.assign({
+    store: MemoryStore(),
+    root: document.createElement('div'),
+  }, options))
+  lua.define(test)
+  return lua
+}
+
+afterEach(() => {
+  delete window.BroadcastChannel
+})
+
+it('should follow assignments made in another tab', () => {
+  window.BroadcastChannel = FakeBroadcastChannel
+  const first = createTab()
+  const second = createTab()
+  first.assign('hero', 'control')
+  second.assign('hero', 'control')
+
+  const events = []
+  second.on('change', event => events.push(event))
+  first.assign('hero', 'variant')
+
+  assert.strictEqual(second.assignments().hero, 'variant')
+  assert.strictEqual(second.root.className, 'hero--variant')
+  assert.deepStrictEqual(events, [{
+    changes: [{ testName: 'hero', bucket: 'variant', previous: 'control' }],
+    assignments: { hero: 'variant' },
+    holdout: false,
+  }])
+  assert.strictEqual(second.describeAssignment('hero').source, 'sync')
+
+  first.stopSync()
+  second.stopSync()
+  assert.strictEqual(channels.length, 0)
+})
+
+it('should only follow the tests it defined', () => {
+  window.BroadcastChannel = FakeBroadcastChannel
+  const home = createTab()
+  const checkout = new Lua({ store: MemoryStore(), root: document.createElement('div') })
+  checkout.define({ name: 'pricing', buckets: { monthly: { default: true }, yearly: {} } })
+  home.assign('hero', 'variant')
+  checkout.assign('pricing', 'yearly')
+
+  // the checkout tab persists `{ pricing }` only
+  assert.deepStrictEqual(home.assignments(), { hero: 'variant' })
+  assert.strictEqual(home.root.className, 'hero--variant')
+  assert.deepStrictEqual(checkout.assignments(), { pricing: 'yearly' })
+  assert.strictEqual(checkout.root.className, 'pricing--yearly')
+
+  window.dispatchEvent(new StorageEvent('storage', { key: 'ab-tests', newValue: '{"hero":"missing"}' }))
+  assert.strictEqual(home.assignments().hero, 'variant')
+
+  home.stopSync()
+  checkout.stopSync()
+})
+
+it('should follow storage events for its storage key', () => {
+  const lua = createTab()
+  lua.assign('hero', 'control')
+
+  const events = []
+  lua.on('change', event => events.push(event))
+  window.dispatchEvent(new StorageEvent('storage', { key: 'other-key', newValue: '{"hero":"variant"}' }))
+  window.dispatchEvent(new StorageEvent('storage', { key: 'ab-tests', newValue: '{"hero":"variant"}' }))
+  window.dispatchEvent(new StorageEvent('storage', { key: 'ab-tests', newValue: '{"hero":"variant"}' }))
+
+  assert.strictEqual(lua.root.className, 'hero--variant')
+  assert.strictEqual(events.length, 1)
+
+  lua.stopSync()
+  window.dispatchEvent(new StorageEvent('storage', { key: 'ab-tests', newValue: '{"hero":"control"}' }))
+  assert.strictEqual(lua.assignments().hero, 'variant')
+})
+
+it('should keep previewed buckets', () => {
+  const lua = createTab({ force: 'hero:variant' })
+  lua.assign()
+
+  window.dispatchEvent(new StorageEvent('storage', { key: 'ab-tests', newValue: '{"hero":"control"}' }))
+
+  assert.strictEqual(lua.assignments().hero, 'variant')
+  lua.stopSync()
+})
+
+it('should not sync when disabled', () => {
+  window.BroadcastChannel = FakeBroadcastChannel
+  const lua = createTab({ sync: false })
+  lua.assign('hero', 'control')
+
+  window.dispatchEvent(new StorageEvent('storage', { key: 'ab-tests', newValue: '{"hero":"variant"}' }))
+
+  assert.strictEqual(lua.assignments().hero, 'control')
+  assert.strictEqual(channels.length, 0)
+})
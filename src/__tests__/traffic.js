@@ -0,0 +1,95 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+
+const createTest = traffic => ({
+  name: 'risky',
+  traffic,
+  buckets: {
+    control: { weight: 1, default: true },
+    variant: { weight: 1 },
+  },
+})
+
+it('should only enroll the allocated share of visitors', () => {
+  const passes = 2000
+  let enrolled = 0
+
+  for (let i = 0; i < passes; i++) {
+    const test = new Lua({ store: MemoryStore(), userId: `user-${i}` })
+    test.define(createTest(0.2))
+    test.assign()
+    if (test.isEnrolled('risky')) enrolled++
+  }
+
+  assert.ok(Math.abs(enrolled / passes - 0.2) < 0.04)
+})
+
+it('should serve the default bucket to visitors outside the allocation', () => {
+  const test = new Lua({ store: MemoryStore() })
+  test.define(createTest(0))
+  test.assign()
+
+  assert.strictEqual(test.assignments().risky, 'control')
+  assert.strictEqual(test.isEnrolled('risky'), false)
+  assert.strictEqual(test.exclusions.risky, 'traffic')
+})
+
+it('should not persist assignments for visitors outside the allocation', () => {
+  const store = MemoryStore()
+  const test = new Lua({ store })
+  test.define(createTest(0))
+  test.assign()
+
+  assert.deepStrictEqual(JSON.parse(store.get('ab-tests')), {})
+})
+
+it('should keep enrollment sticky without a user ID', () => {
+  const store = MemoryStore()
+  const first = new Lua({ store })
+  first.define(createTest(0.5))
+  first.assign()
+  const enrolled = first.isEnrolled('risky')
+  const bucket = first.assignments().risky
+
+  for (let i = 0; i < 20; i++) {
+    const test = new Lua({ store })
+    test.define(createTest(0.5))
+    test.assign()
+    assert.strictEqual(test.isEnrolled('risky'), enrolled)
+    assert.strictEqual(test.assignments().risky, bucket)
+  }
+})
+
+it('should keep enrolled visitors enrolled when ramping up', () => {
+  for (let i = 0; i < 100; i++) {
+    const userId = `user-${i}`
+    const small = new Lua({ store: MemoryStore(), userId })
+    small.define(createTest(0.1))
+    small.assign()
+
+    const large = new Lua({ store: MemoryStore(), userId })
+    large.define(createTest(0.5))
+    large.assign()
+
+    if (small.isEnrolled('risky')) assert.ok(large.isEnrolled('risky'))
+  }
+})
+
+it('should report visitors outside the allocation from assignWithUTM', () => {
+  const test = new Lua({ store: MemoryStore() })
+  test.define(createTest(0))
+  const result = test.assignWithUTM('risky', { context: { hasUTM: false } })
+
+  assert.strictEqual(result.assignment, 'control')
+  assert.strictEqual(result.source, 'default')
+  assert.strictEqual(result.enrolled, false)
+})
+
+it('should reject an invalid traffic allocation', () => {
+  const test = new Lua({ store: MemoryStore() })
+  assert.throws(() => test.define(createTest(1.5)))
+  assert.throws(() => test.define(createTest('half')))
+})
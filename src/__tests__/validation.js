@@ -0,0 +1,151 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+import { getDefinitionProblems } from '../definitions'
+
+const getError = (fn) => {
+  try {
+    fn()
+  } catch (error) {
+    return error
+  }
+  throw new Error('Expected an error')
+}
+
+it('should accept valid tests', () => {
+  assert.deepStrictEqual(getDefinitionProblems([
+    {
+      name: 'hero',
+      utmRules: { spring: 'variant' },
+      intentMapping: { compare: 'control' },
+      buckets: {
+        control: { weight: 1, default: true },
+        variant: { weight: 1 },
+      },
+    },
+    {
+      name: 'pricing_2',
+      buckets: {
+        control: { weight: 1, default: true },
+        variant: { weight: 1 },
+      },
+    },
+  ]), [])
+})
+
+it('should reject empty buckets', () => {
+  assert.deepStrictEqual(getDefinitionProblems([{ name: 'hero', buckets: {} }]), [
+    'tests[0].buckets: must have at least one bucket',
+  ])
+})
+
+it('should reject negative and non-numeric weights', () => {
+  const problems = getDefinitionProblems([{
+    name: 'hero',
+    buckets: {
+      control: { weight: -1 },
+      variant: { weight: '2' },
+      other: { weight: NaN },
+    },
+  }])
+
+  assert.deepStrictEqual(problems, [
+    'tests[0].buckets.control.weight: must be a number >= 0',
+    'tests[0].buckets.variant.weight: must be a number >= 0',
+    'tests[0].buckets.other.weight: must be a number >= 0',
+  ])
+})
+
+it('should reject more than one winner', () => {
+  const problems = getDefinitionProblems([{
+    name: 'hero',
+    buckets: {
+      control: { winner: true },
+      variant: { winner: true },
+    },
+  }])
+
+  assert.deepStrictEqual(problems, ['tests[0].buckets: only one bucket can be the winner, got control, variant'])
+})
+
+it('should reject rules that point to unknown buckets', () => {
+  const problems = getDefinitionProblems([{
+    name: 'hero',
+    utmRules: { spring: 'variant', summer: 'varient' },
+    intentMapping: { compare: 'missing' },
+    buckets: {
+      control: { weight: 1, default: true },
+      variant: { weight: 1 },
+    },
+  }])
+
+  assert.deepStrictEqual(problems, [
+    'tests[0].utmRules.summer: unknown bucket "varient"',
+    'tests[0].intentMapping.compare: unknown bucket "missing"',
+  ])
+})
+
+it('should reject names that are not valid class names', () => {
+  const problems = getDefinitionProblems([{
+    name: 'hero test',
+    buckets: { 'variant.b': {} },
+  }])
+
+  assert.deepStrictEqual(problems, [
+    'tests[0].name: test names may only contain letters, digits, "_" and "-"',
+    'tests[0].buckets.variant.b: bucket names may only contain letters, digits, "_" and "-"',
+  ])
+})
+
+it('should reject duplicate names', () => {
+  const hero = { name: 'hero', buckets: { control: {}, variant: {} } }
+  assert.deepStrictEqual(getDefinitionProblems([hero, hero]), [
+    'tests[1].name: duplicate test name "hero"',
+  ])
+  assert.deepStrictEqual(getDefinitionProblems([hero], ['hero']), [
+    'tests[0].name: duplicate test name "hero"',
+  ])
+})
+
+it('should list every problem when defining tests', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  lua.define({ name: 'hero', buckets: { control: {}, variant: {} } })
+
+  const error = getError(() => lua.define([
+    { name: 'hero', buckets: { control: {}, variant: {} } },
+    { name: 'pricing', buckets: {}, traffic: 2 },
+  ]))
+
+  assert.deepStrictEqual(error.problems, [
+    'tests[0].name: duplicate test name "hero"',
+    'tests[1].buckets: must have at least one bucket',
+    'tests[1].traffic: must be a number between 0 and 1',
+  ])
+  assert.ok(/^Invalid test definitions:\n {2}tests\[0\]\.name/.test(error.message))
+})
+
+it('should not define any test when one is invalid', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  assert.throws(() => lua.define([
+    { name: 'pricing', buckets: { control: {}, variant: {} } },
+    { name: 'hero', buckets: { control: { weight: -1 } } },
+  ]))
+
+  assert.deepStrictEqual(lua.definitions(), [])
+})
+
+it('should keep previously loaded definitions when new ones are invalid', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  return lua.loadDefinitions([{ name: 'hero', buckets: { control: {}, variant: {} } }])
+    .then(() => lua.loadDefinitions([{
+      name: 'pricing',
+      utmRules: { spring: 'missing' },
+      buckets: { control: {}, variant: {} },
+    }]))
+    .then(() => assert.fail('Expected an error'), (error) => {
+      assert.deepStrictEqual(error.problems, ['tests[0].utmRules.spring: unknown bucket "missing"'])
+      assert.deepStrictEqual(lua.definitions().map(test => test.name), ['hero'])
+    })
+})
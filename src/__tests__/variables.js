@@ -0,0 +1,91 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+
+it('should read the variables of the assigned bucket', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  lua.define({
+    name: 'checkout',
+    variables: { buttonColor: 'blue', maxItems: 4, express: false },
+    buckets: {
+      control: { weight: 0, default: true },
+      green: {
+        weight: 1,
+        variables: { buttonColor: 'green', maxItems: 6, tags: ['sale'] },
+      },
+    },
+  })
+  lua.assign()
+
+  assert.deepStrictEqual(lua.getVariables('checkout'), {
+    buttonColor: 'green',
+    maxItems: 6,
+    express: false,
+    tags: ['sale'],
+  })
+  assert.strictEqual(lua.getVariable('checkout', 'buttonColor', 'red'), 'green')
+  assert.strictEqual(lua.getVariable('checkout', 'maxItems', 10), 6)
+  assert.deepStrictEqual(lua.getVariable('checkout', 'tags', []), ['sale'])
+})
+
+it('should fall back to the test variables and the default value', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  lua.define({
+    name: 'checkout',
+    variables: { buttonColor: 'blue', maxItems: 4, express: false },
+    buckets: {
+      control: { weight: 0, default: true },
+      green: {
+        weight: 1,
+        variables: { buttonColor: 'green', maxItems: 6, tags: ['sale'] },
+      },
+    },
+  })
+
+  // not assigned yet
+  assert.strictEqual(lua.getVariable('checkout', 'buttonColor'), 'blue')
+
+  lua.assign('checkout', 'control')
+  assert.strictEqual(lua.getVariable('checkout', 'maxItems', 10), 4)
+  assert.strictEqual(lua.getVariable('checkout', 'missing', 'fallback'), 'fallback')
+  assert.strictEqual(lua.getVariable('unknown', 'maxItems', 10), 10)
+})
+
+it('should return the default value when the types do not match', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  lua.define({
+    name: 'checkout',
+    variables: { buttonColor: 'blue', maxItems: 4, express: false },
+    buckets: {
+      control: { weight: 0, default: true },
+      green: {
+        weight: 1,
+        variables: { buttonColor: 'green', maxItems: 6, tags: ['sale'] },
+      },
+    },
+  })
+  lua.assign()
+
+  assert.strictEqual(lua.getVariable('checkout', 'maxItems', '6'), '6')
+  assert.strictEqual(lua.getVariable('checkout', 'express', 0), 0)
+  assert.deepStrictEqual(lua.getVariable('checkout', 'tags', {}), {})
+})
+
+it('should reject variables with conflicting types', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  assert.throws(() => lua.define({
+    name: 'checkout',
+    variables: { buttonColor: 'blue', maxItems: 4 },
+    buckets: {
+      control: { variables: { maxItems: 'four' } },
+      green: { variables: { maxItems: 6 } },
+    },
+  }), /maxItems/)
+
+  assert.throws(() => lua.define({
+    name: 'broken',
+    buckets: { a: { variables: 'green' } },
+  }), /variables must be an object/)
+})
@@ -0,0 +1,172 @@
+
+import assert from 'assert'
+
+import MemoryStore from '../stores/memory'
+import Lua from '../lua'
+import { getBucketShares } from '../utils'
+
+const run = (store, test, options = {}) => {
+  const lua = new Lua(Object.assign({ store }, options))
+  lua.define(test)
+  lua.assign()
+  return lua.assignments().pricing
+}
+
+it('should compute bucket shares from weights', () => {
+  assert.deepStrictEqual(getBucketShares({ a: { weight: 3 }, b: { weight: 1 } }), { a: 0.75, b: 0.25 })
+  assert.deepStrictEqual(getBucketShares({ a: {}, b: {} }), { a: 0.5, b: 0.5 })
+})
+
+it('should store the version with the assignment', () => {
+  const store = MemoryStore()
+  run(store, { name: 'pricing', version: 1, buckets: { control: {}, variant: {} } })
+
+  const meta = JSON.parse(store.get('ab-tests-meta'))
+  assert.strictEqual(meta.versions.pricing.version, 1)
+  assert.deepStrictEqual(meta.versions.pricing.weights, { control: 0.5, variant: 0.5 })
+})
+
+it('should keep buckets while the version is unchanged', () => {
+  const store = MemoryStore()
+  const bucket = run(store, { name: 'pricing', version: 1, buckets: { control: {}, variant: {} } })
+
+  for (let i = 0; i < 20; i++) {
+    assert.strictEqual(run(store, {
+      name: 'pricing',
+      version: 1,
+      buckets: { control: {}, variant: {} },
+    }), bucket)
+  }
+})
+
+it('should re-bucket everyone when the version is bumped', () => {
+  let moved = 0
+  for (let i = 0; i < 200; i++) {
+    const store = MemoryStore()
+    store.set('ab-tests', JSON.stringify({ pricing: 'control' }))
+    store.set('ab-tests-meta', JSON.stringify({ versions: { pricing: { version: 1 } } }))
+
+    const assignment = run(store, {
+      name: 'pricing',
+      version: 2,
+      buckets: { control: {}, variant: {} },
+    })
+    if (assignment !== 'control') moved++
+  }
+
+  assert.ok(moved > 50)
+})
+
+it('should re-bucket identified visitors when the version is bumped', () => {
+  let moved = 0
+  for (let i = 0; i < 200; i++) {
+    const store = MemoryStore()
+    const options = { userId: `user-${i}` }
+    const bucket = run(store, {
+      name: 'pricing',
+      version: 1,
+      buckets: { control: {}, variant: {} },
+    }, options)
+    // the same visitor on another device, with nothing stored yet
+    assert.strictEqual(run(MemoryStore(), {
+      name: 'pricing',
+      version: 1,
+      buckets: { control: {}, variant: {} },
+    }, options), bucket)
+
+    const assignment = run(store, {
+      name: 'pricing',
+      version: 2,
+      buckets: { control: {}, variant: {} },
+    }, options)
+    if (assignment !== bucket) moved++
+  }
+
+  assert.ok(moved > 50)
+})
+
+it('should keep buckets when a running test gets its first version', () => {
+  for (let i = 0; i < 50; i++) {
+    const store = MemoryStore()
+    store.set('ab-tests', JSON.stringify({ pricing: 'control' }))
+
+    assert.strictEqual(run(store, {
+      name: 'pricing',
+      version: 1,
+      buckets: { control: {}, variant: {} },
+    }), 'control')
+    assert.strictEqual(JSON.parse(store.get('ab-tests-meta')).versions.pricing.version, 1)
+  }
+
+  let moved = 0
+  for (let i = 0; i < 200; i++) {
+    const store = MemoryStore()
+    store.set('ab-tests', JSON.stringify({ pricing: 'control' }))
+    run(store, { name: 'pricing', version: 1, buckets: { control: {}, variant: {} } })
+
+    const assignment = run(store, {
+      name: 'pricing',
+      version: 2,
+      buckets: { control: {}, variant: {} },
+    })
+    if (assignment !== 'control') moved++
+  }
+  assert.ok(moved > 50)
+})
+
+it('should only move visitors out of shrinking buckets when reallocating', () => {
+  const previous = { control: 0.5, variant: 0.5 }
+  const counts = { control: 0, variant: 0 }
+  const passes = 2000
+
+  for (let i = 0; i < passes; i++) {
+    const bucket = i % 2 ? 'control' : 'variant'
+    const store = MemoryStore()
+    store.set('ab-tests', JSON.stringify({ pricing: bucket }))
+    store.set('ab-tests-meta', JSON.stringify({ versions: { pricing: { version: 1, weights: previous } } }))
+
+    const assignment = run(store, {
+      name: 'pricing',
+      version: 2,
+      rebucket: 'reallocate',
+      buckets: {
+        control: { weight: 0.2 },
+        variant: { weight: 0.8 },
+      },
+    }, { userId: `user-${i}` })
+
+    // nobody leaves the bucket that grew
+    if (bucket === 'variant') assert.strictEqual(assignment, 'variant')
+    counts[assignment]++
+  }
+
+  assert.ok(Math.abs(counts.variant / passes - 0.8) < 0.04)
+})
+
+it('should move visitors out of removed buckets when reallocating', () => {
+  const store = MemoryStore()
+  store.set('ab-tests', JSON.stringify({ pricing: 'legacy' }))
+  store.set('ab-tests-meta', JSON.stringify({ versions: { pricing: { version: 1 } } }))
+
+  const bucket = run(store, {
+    name: 'pricing',
+    version: 2,
+    rebucket: 'reallocate',
+    buckets: { control: {}, variant: {} },
+  })
+  assert.ok(bucket === 'control' || bucket === 'variant')
+})
+
+it('should reject invalid versions and policies', () => {
+  const lua = new Lua({ store: MemoryStore() })
+  assert.throws(() => lua.define({
+    name: 'pricing',
+    version: {},
+    buckets: { control: {}, variant: {} },
+  }))
+  assert.throws(() => lua.define({
+    name: 'pricing',
+    rebucket: 'some',
+    buckets: { control: {}, variant: {} },
+  }))
+})
@@ -102,6 +102,16 @@
     // Cache Management
     // ===================================================================
 
+    /**
+     * Get the storage the cache is kept in
+     * LuaConsent's storage keeps it in memory until the visitor consents
+     * @returns {Object|null} - localStorage-like storage, or null when unavailable
+     */
+    function getCacheStorage() {
+        if (root.LuaConsent) return root.LuaConsent.storage()
+        return typeof localStorage !== 'undefined' ? localStorage : null
+    }
+
     /**
      * Generate a cache key from the context (hash-like identifier)
      * @param {Object} context - Current UTM context
@@ -136,8 +146,9 @@
      */
     function readCache(cacheKey, cacheDuration) {
         try {
-            if (typeof localStorage === 'undefined') return null
-            var raw = localStorage.getItem(cacheKey)
+            var storage = getCacheStorage()
+            if (!storage) return null
+            var raw = storage.getItem(cacheKey)
             if (!raw) return null
 
             var cached = JSON.parse(raw)
@@ -146,7 +157,7 @@
             // Check expiry
             var age = Date.now() - cached.timestamp
             if (age > cacheDuration) {
-                localStorage.removeItem(cacheKey)
+                storage.removeItem(cacheKey)
                 return null
             }
 
@@ -163,8 +174,9 @@
      */
     function writeCache(cacheKey, decision) {
         try {
-            if (typeof localStorage === 'undefined') return
-            localStorage.setItem(cacheKey, JSON.stringify({
+            var storage = getCacheStorage()
+            if (!storage) return
+            storage.setItem(cacheKey, JSON.stringify({
                 timestamp: Date.now(),
                 decision: decision
             }))
@@ -178,16 +190,17 @@
      */
     function clearCache() {
         try {
-            if (typeof localStorage === 'undefined') return
+            var storage = getCacheStorage()
+            if (!storage) return
             var keysToRemove = []
-            for (var i = 0; i < localStorage.length; i++) {
-                var key = localStorage.key(i)
+            for (var i = 0; i < storage.length; i++) {
+                var key = storage.key(i)
                 if (key && key.indexOf(CACHE_KEY_PREFIX) === 0) {
                     keysToRemove.push(key)
                 }
             }
             for (var j = 0; j < keysToRemove.length; j++) {
-                localStorage.removeItem(keysToRemove[j])
+                storage.removeItem(keysToRemove[j])
             }
         } catch (e) {
             console.warn('[Lua AI] Failed to clear cache:', e)
@@ -0,0 +1,78 @@
+
+// audience targeting for Lua test definitions
+//
+//   audience: {
+//     utm: { utm_source: ['google', 'bing'] },
+//     referrer: 'search',
+//     device: 'mobile',
+//     intent: 'buy_now',
+//     visitCount: { min: 2 },
+//     attributes: { plan: 'pro' },
+//     match: 'all', // or 'any'
+//   }
+//
+// a condition value can be a string/number, an array (any of),
+// a RegExp, a { min, max } range or a function receiving the value
+
+const matchesValue = (expected, actual) => {
+  if (Array.isArray(expected)) return expected.some(x => matchesValue(x, actual))
+  if (actual == null) return false
+  if (expected instanceof RegExp) return expected.test(String(actual))
+  if (typeof expected === 'function') return !!expected(actual)
+  if (typeof expected === 'object') {
+    if (typeof actual !== 'number') return false
+    if (expected.min != null && actual < expected.min) return false
+    if (expected.max != null && actual > expected.max) return false
+    return true
+  }
+  if (typeof expected === 'string' && typeof actual === 'string') {
+    return expected.toLowerCase() === actual.toLowerCase()
+  }
+  return expected === actual
+}
+
+const matchesMap = (expected, actual = {}) => Object.keys(expected)
+  .every(key => matchesValue(expected[key], actual[key]))
+
+const conditions = {
+  utm: (expected, context) => matchesMap(expected, context.utm),
+  referrer: (expected, context) => matchesValue(expected, context.referrer),
+  device: (expected, context) => matchesValue(expected, context.device),
+  intent: (expected, context) => matchesValue(expected, context.intent),
+  visitCount: (expected, context) => matchesValue(expected, context.visitCount),
+  attributes: (expected, context) => matchesMap(expected, context.attributes),
+}
+
+export const AUDIENCE_CONDITIONS = Object.keys(conditions)
+
+// flatten a LuaUTM context plus Lua's own visitor data
+// into the shape audience conditions are checked against
+export const buildAudienceContext = (context = {}, extras = {}) => {
+  const userAgent = context.userAgent || {}
+  let device = 'desktop'
+  if (userAgent.isMobile) device = 'mobile'
+  else if (userAgent.isTablet) device = 'tablet'
+
+  return {
+    utm: context.utm || {},
+    referrer: (context.referrer && context.referrer.category) || 'direct',
+    device,
+    intent: extras.intent || context.primaryIntent || null,
+    visitCount: extras.visitCount || 0,
+    attributes: extras.attributes || {},
+  }
+}
+
+// whether a visitor matches a test's audience,
+// tests without an audience match everyone
+export const matchesAudience = (audience, context) => {
+  if (!audience) return true
+  if (typeof audience === 'function') return !!audience(context)
+
+  const results = AUDIENCE_CONDITIONS
+    .filter(key => audience[key] != null)
+    .map(key => conditions[key](audience[key], context))
+
+  if (audience.match === 'any') return !results.length || results.some(Boolean)
+  return results.every(Boolean)
+}
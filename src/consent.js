@@ -0,0 +1,393 @@
+/**
+ * Consent
+ * =======
+ * One consent state shared by every Lua module that stores data:
+ * Lua assignments, LuaWeightedHistory, LuaIntent history, the AI cache
+ * and the holdout roll.
+ *
+ *   LuaConsent.configure({ defaultState: 'pending', tcf: true, gpc: true })
+ *   LuaConsent.grant()   // e.g. from your cookie banner
+ *   LuaConsent.deny()    // withdraw
+ *
+ * States:
+ *   - 'pending': no decision yet, data is kept in memory only
+ *   - 'granted': data is written to storage, memory data is migrated unless
+ *                storage already holds the key
+ *   - 'denied':  data is kept in memory only, stored data is wiped
+ *
+ * Until configure() is called consent is not managed and counts as granted,
+ * so pages without a consent banner keep working as before.
+ *
+ * Registers on window.LuaConsent
+ * No ES6 imports. Self-contained IIFE.
+ */
+;(function (root) {
+    'use strict'
+
+    // ===================================================================
+    // Constants & State
+    // ===================================================================
+
+    var STATES = ['granted', 'denied', 'pending']
+
+    // where grant() and deny() remember the decision, this is strictly necessary
+    var STATE_KEY = 'lua_consent'
+
+    // stored by Lua modules, wiped on withdrawal even when written on an earlier visit
+    var KNOWN_KEYS = ['lua_personalize_history', 'lua_intent_history', 'lua_holdout']
+    var KNOWN_PREFIXES = ['lua_ai_cache_']
+
+    // TCF purpose 1: store and/or access information on a device
+    var TCF_STORAGE_PURPOSE = 1
+
+    var config = {
+        managed: false,
+        storage: null
+    }
+    var state = 'granted'
+    var source = 'default'
+    var listeners = []
+
+    // data written while consent is missing
+    var memory = {}
+    // keys written through storage(), wiped on withdrawal
+    var writtenKeys = {}
+
+    // ===================================================================
+    // Underlying Storage
+    // ===================================================================
+
+    /**
+     * Get the persistent storage
+     * @returns {Object|null} - localStorage-like storage, or null when unavailable
+     */
+    function getUnderlyingStorage() {
+        if (config.storage) return config.storage
+        try {
+            if (typeof localStorage !== 'undefined') return localStorage
+        } catch (e) {
+            // localStorage can throw when cookies are blocked
+        }
+        return null
+    }
+
+    function readStoredState() {
+        try {
+            var storage = getUnderlyingStorage()
+            var stored = storage && storage.getItem(STATE_KEY)
+            return STATES.indexOf(stored) !== -1 ? stored : null
+        } catch (e) {
+            return null
+        }
+    }
+
+    function writeStoredState(value) {
+        try {
+            var storage = getUnderlyingStorage()
+            if (storage) storage.setItem(STATE_KEY, value)
+        } catch (e) {
+            // Ignore
+        }
+    }
+
+    function isKnownKey(key) {
+        if (writtenKeys[key] || KNOWN_KEYS.indexOf(key) !== -1) return true
+        return KNOWN_PREFIXES.some(function (prefix) {
+            return key.indexOf(prefix) === 0
+        })
+    }
+
+    // ===================================================================
+    // Migration & Wiping
+    // ===================================================================
+
+    /**
+     * Write what was kept in memory to storage
+     * Keys storage already holds, e.g. the history and user ID of a returning
+     * visitor, win over the copies this page view made before consent
+     */
+    function migrate() {
+        var storage = getUnderlyingStorage()
+        if (!storage) return
+        Object.keys(memory).forEach(function (key) {
+            try {
+                if (storage.getItem(key) === null) storage.setItem(key, memory[key])
+            } catch (e) {
+                // Storage full, the data stays in memory for this page view
+                return
+            }
+            delete memory[key]
+        })
+    }
+
+    /**
+     * Remove every Lua key from storage and from memory
+     */
+    function wipe() {
+        memory = {}
+        var storage = getUnderlyingStorage()
+        if (!storage) return
+        try {
+            var keys = []
+            for (var i = 0; i < storage.length; i++) {
+                var key = storage.key(i)
+                if (key && isKnownKey(key)) keys.push(key)
+            }
+            Object.keys(writtenKeys).forEach(function (key) {
+                if (keys.indexOf(key) === -1) keys.push(key)
+            })
+            keys.forEach(function (key) {
+                storage.removeItem(key)
+            })
+        } catch (e) {
+            // Ignore
+        }
+    }
+
+    // ===================================================================
+    // State
+    // ===================================================================
+
+    /**
+     * Change the consent state, migrating or wiping data and notifying listeners
+     * @param {string} next - 'granted'|'denied'|'pending'
+     * @param {string} [from] - What decided it: 'user'|'tcf'|'gpc'|'stored'|'default'
+     * @returns {string} - The new state
+     */
+    function setState(next, from) {
+        if (STATES.indexOf(next) === -1) {
+            throw new Error('[Lua Consent] State must be one of: ' + STATES.join(', '))
+        }
+        var previous = state
+        state = next
+        source = from || 'user'
+
+        if (next === 'granted') migrate()
+        if (next === 'denied') wipe()
+        if (next === previous) return state
+
+        listeners.slice().forEach(function (fn) {
+            try {
+                fn(next, previous)
+            } catch (e) {
+                // a failing listener should not block the others
+            }
+        })
+        return state
+    }
+
+    /**
+     * Whether the Global Privacy Control signal is on
+     * @returns {boolean}
+     */
+    function hasGPC() {
+        try {
+            return typeof navigator !== 'undefined' && navigator.globalPrivacyControl === true
+        } catch (e) {
+            return false
+        }
+    }
+
+    /**
+     * Follow the IAB TCF v2 CMP, if there is one on the page
+     * @returns {boolean} - Whether a CMP was found
+     */
+    function listenToTCF() {
+        if (typeof root.__tcfapi !== 'function') return false
+        try {
+            root.__tcfapi('addEventListener', 2, function (tcData, success) {
+                if (!success || !tcData) return
+                if (tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') return
+                if (tcData.gdprApplies === false) {
+                    setState('granted', 'tcf')
+                    return
+                }
+                var consents = tcData.purpose && tcData.purpose.consents
+                setState(consents && consents[TCF_STORAGE_PURPOSE] ? 'granted' : 'denied', 'tcf')
+            })
+            return true
+        } catch (e) {
+            return false
+        }
+    }
+
+    // ===================================================================
+    // Public Functions
+    // ===================================================================
+
+    /**
+     * Start managing consent
+     * The state comes from, in order: the GPC signal (denied), a decision stored
+     * by grant() or deny(), then defaultState. A TCF CMP updates it later.
+     * @param {Object} [options] - Options
+     * @param {string} [options.defaultState] - State until the visitor decides (default: 'pending')
+     * @param {boolean} [options.gpc] - Treat navigator.globalPrivacyControl as denied (default: true)
+     * @param {boolean} [options.tcf] - Follow window.__tcfapi (default: true)
+     * @param {Object} [options.storage] - localStorage-like persistent storage (default: localStorage)
+     * @returns {string} - The current state
+     */
+    function configure(options) {
+        options = options || {}
+        var defaultState = options.defaultState || 'pending'
+        if (STATES.indexOf(defaultState) === -1) {
+            throw new Error('[Lua Consent] defaultState must be one of: ' + STATES.join(', '))
+        }
+        if ('storage' in options) config.storage = options.storage
+        config.managed = true
+
+        if (options.gpc !== false && hasGPC()) return setState('denied', 'gpc')
+
+        var stored = readStoredState()
+        setState(stored || defaultState, stored ? 'stored' : 'default')
+        if (options.tcf !== false) listenToTCF()
+        return state
+    }
+
+    /**
+     * The visitor consented, migrate in-memory data to storage
+     * @returns {string}
+     */
+    function grant() {
+        config.managed = true
+        writeStoredState('granted')
+        return setState('granted', 'user')
+    }
+
+    /**
+     * The visitor refused or withdrew consent, wipe stored data
+     * @returns {string}
+     */
+    function deny() {
+        config.managed = true
+        writeStoredState('denied')
+        return setState('denied', 'user')
+    }
+
+    /**
+     * @returns {string} - 'granted'|'denied'|'pending'
+     */
+    function getState() {
+        return state
+    }
+
+    /**
+     * @returns {boolean} - Whether data may be written to storage
+     */
+    function isGranted() {
+        return state === 'granted'
+    }
+
+    /**
+     * @returns {Object} - { state, source, managed }
+     */
+    function getStatus() {
+        return { state: state, source: source, managed: config.managed }
+    }
+
+    /**
+     * Listen to state changes
+     * @param {Function} fn - Called with (state, previousState)
+     * @returns {Function} - Call to remove the listener
+     */
+    function onChange(fn) {
+        if (typeof fn !== 'function') throw new Error('[Lua Consent] Listeners must be functions')
+        listeners.push(fn)
+        return function () {
+            listeners = listeners.filter(function (x) { return x !== fn })
+        }
+    }
+
+    /**
+     * localStorage-like storage that writes to localStorage once consent is
+     * granted and keeps data in memory otherwise
+     */
+    var consentStorage = {
+        getItem: function (key) {
+            var storage = getUnderlyingStorage()
+            if (isGranted() && storage) {
+                var value = storage.getItem(key)
+                if (value !== null) return value
+            }
+            return Object.prototype.hasOwnProperty.call(memory, key) ? memory[key] : null
+        },
+        setItem: function (key, value) {
+            writtenKeys[key] = true
+            var storage = getUnderlyingStorage()
+            if (isGranted() && storage) {
+                storage.setItem(key, String(value))
+                delete memory[key]
+                return
+            }
+            memory[key] = String(value)
+        },
+        removeItem: function (key) {
+            delete memory[key]
+            var storage = getUnderlyingStorage()
+            if (isGranted() && storage) storage.removeItem(key)
+        },
+        key: function (index) {
+            return consentStorage.keys()[index] || null
+        },
+        keys: function () {
+            var keys = Object.keys(memory)
+            var storage = getUnderlyingStorage()
+            if (isGranted() && storage) {
+                for (var i = 0; i < storage.length; i++) {
+                    var key = storage.key(i)
+                    if (key && keys.indexOf(key) === -1) keys.push(key)
+                }
+            }
+            return keys
+        }
+    }
+    Object.defineProperty(consentStorage, 'length', {
+        get: function () { return consentStorage.keys().length }
+    })
+
+    /**
+     * Get the consent-aware storage Lua modules write to
+     * @returns {Object} - { getItem, setItem, removeItem, key, length }
+     */
+    function storage() {
+        return consentStorage
+    }
+
+    /**
+     * Stop managing consent and forget in-memory data (for tests)
+     */
+    function reset() {
+        config.managed = false
+        config.storage = null
+        state = 'granted'
+        source = 'default'
+        listeners = []
+        memory = {}
+        writtenKeys = {}
+    }
+
+    // ===================================================================
+    // Public API
+    // ===================================================================
+
+    var LuaConsent = {
+        configure: configure,
+        grant: grant,
+        deny: deny,
+        setState: setState,
+        getState: getState,
+        getStatus: getStatus,
+        isGranted: isGranted,
+        onChange: onChange,
+        storage: storage,
+        wipe: wipe,
+        reset: reset,
+
+        // Constants
+        STATES: STATES,
+        STATE_KEY: STATE_KEY
+    }
+
+    // Register globally
+    root.LuaConsent = LuaConsent
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this)
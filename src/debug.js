@@ -0,0 +1,442 @@
+/**
+ * Debug Overlay
+ * =============
+ * An in-page panel for QA, opened with ?lua_debug=1. It shows:
+ *   - the buckets of the Lua instance on the page
+ *   - the latest LuaIntent decision, with per-layer scores
+ *   - the latest LuaPersonalize template and its source
+ *   - the LuaWeightedHistory visits
+ *
+ * Buckets and intents can be switched live. Reload keeps the choices in the
+ * URL with ?lua_force= and ?lua_force_intent=, so they survive the page load.
+ *
+ * Lua, LuaIntent and LuaPersonalize report to the overlay once it is enabled,
+ * so it costs nothing on pages where QA did not ask for it.
+ *
+ * Reads ?lua_debug=1 with LuaUTM.getQueryParam, so load utm.js first.
+ *
+ * Registers on window.LuaDebug
+ * No ES6 imports. Self-contained IIFE.
+ */
+;(function (root) {
+    'use strict'
+
+    // ===================================================================
+    // Constants & State
+    // ===================================================================
+
+    var DEBUG_PARAM = 'lua_debug'
+    var FORCE_PARAM = 'lua_force'
+    var FORCE_INTENT_PARAM = 'lua_force_intent'
+    // LuaIntent's explicit intent override, see signals/urlAnalyzer.js
+    var INTENT_PARAM = 'intent'
+
+    var PANEL_ID = 'lua-debug'
+    var MAX_VISITS = 5
+
+    var PANEL_STYLE = [
+        'position:fixed', 'right:12px', 'bottom:12px', 'z-index:2147483647',
+        'width:340px', 'max-height:80vh', 'overflow:auto', 'padding:10px 12px',
+        'background:#111', 'color:#eee', 'font:12px/1.4 monospace',
+        'border-radius:6px', 'box-shadow:0 4px 16px rgba(0,0,0,.4)'
+    ].join(';')
+
+    var enabled = false
+
+    // removes the listeners on the recorded Lua instance
+    var luaListeners = []
+
+    // what the modules reported last
+    var state = {
+        lua: null,
+        intent: null,
+        personalize: null
+    }
+
+    // QA choices made in the panel, kept in the URL on reload
+    var selections = {
+        buckets: {},
+        intent: null
+    }
+
+    // ===================================================================
+    // URL
+    // ===================================================================
+
+    /**
+     * Replace query string parameters in a URL
+     * @param {string} href - URL
+     * @param {Object} params - { [name]: value }, null removes the parameter
+     * @returns {string}
+     */
+    function setQueryParams(href, params) {
+        var hashIndex = href.indexOf('#')
+        var hash = hashIndex === -1 ? '' : href.slice(hashIndex)
+        var rest = hashIndex === -1 ? href : href.slice(0, hashIndex)
+        var queryIndex = rest.indexOf('?')
+        var base = queryIndex === -1 ? rest : rest.slice(0, queryIndex)
+        var query = queryIndex === -1 ? '' : rest.slice(queryIndex + 1)
+
+        var pairs = query.split('&').filter(function (pair) {
+            return pair && !Object.prototype.hasOwnProperty.call(params, pair.split('=')[0])
+        })
+        Object.keys(params).forEach(function (name) {
+            if (params[name] == null) return
+            pairs.push(name + '=' + encodeURIComponent(params[name]))
+        })
+        return base + (pairs.length ? '?' + pairs.join('&') : '') + hash
+    }
+
+    /**
+     * Whether the current URL asks for the overlay
+     * @returns {boolean}
+     */
+    function isRequested() {
+        if (!root.LuaUTM || !root.location) return false
+        try {
+            return root.LuaUTM.getQueryParam(root.location.search, DEBUG_PARAM) === '1'
+        } catch (e) {
+            return false
+        }
+    }
+
+    /**
+     * Get the URL that reloads the page with the choices made in the panel
+     * @param {string} [href] - URL to start from (default: the current URL)
+     * @returns {string}
+     */
+    function getReloadUrl(href) {
+        href = href || root.location.href
+        var lua = state.lua
+        var buckets = Object.assign({}, lua && lua.forcedAssignments, selections.buckets)
+        var force = Object.keys(buckets).map(function (testName) {
+            return testName + ':' + buckets[testName]
+        }).join(',')
+
+        var params = {}
+        params[DEBUG_PARAM] = '1'
+        params[FORCE_PARAM] = force || null
+        if (selections.intent) {
+            params[FORCE_INTENT_PARAM] = selections.intent
+            if (state.intent && state.intent.intents.indexOf(selections.intent) !== -1) {
+                params[INTENT_PARAM] = selections.intent
+            }
+        }
+        return setQueryParams(href, params)
+    }
+
+    // ===================================================================
+    // Reporting (called by Lua, LuaIntent and LuaPersonalize)
+    // ===================================================================
+
+    /**
+     * Stop following the recorded Lua instance
+     */
+    function unsubscribe() {
+        luaListeners.forEach(function (off) {
+            off()
+        })
+        luaListeners = []
+    }
+
+    /**
+     * Remember what a module did and refresh the panel
+     * Ignored until the overlay is enabled, so pages without it keep no
+     * reference to the Lua instance and no listeners on it
+     * @param {string} kind - 'lua'|'intent'|'personalize'
+     * @param {Object} data - 'lua': a Lua instance
+     *   'intent': { decision, layers, intents }
+     *   'personalize': { decision, options }
+     */
+    function record(kind, data) {
+        if (!enabled || !Object.prototype.hasOwnProperty.call(state, kind)) return
+        state[kind] = data
+        if (kind === 'lua') {
+            unsubscribe()
+            if (data && typeof data.on === 'function') {
+                luaListeners = ['assign', 'persist', 'change'].map(function (event) {
+                    return data.on(event, render)
+                })
+            }
+        }
+        render()
+    }
+
+    /**
+     * Get what the modules reported last
+     * @returns {Object} - { lua, intent, personalize, history }
+     */
+    function getState() {
+        var history = null
+        try {
+            var LuaWeightedHistory = root.LuaWeightedHistory
+            // isReturningUser() reads without creating a history
+            if (LuaWeightedHistory && LuaWeightedHistory.isReturningUser()) {
+                history = LuaWeightedHistory.getHistory()
+            }
+        } catch (e) {
+            // Ignore
+        }
+
+        var lua = state.lua
+        var tests = lua ? lua.definitions().map(function (test) {
+            return Object.assign(lua.describeAssignment(test.name), {
+                buckets: Object.keys(test.buckets)
+            })
+        }) : []
+
+        return {
+            lua: tests,
+            intent: state.intent,
+            personalize: state.personalize,
+            history: history
+        }
+    }
+
+    // ===================================================================
+    // QA Controls
+    // ===================================================================
+
+    /**
+     * Show a bucket right away, without enrolling the visitor
+     * @param {string} testName - Test name
+     * @param {string} bucket - Bucket name
+     */
+    function switchBucket(testName, bucket) {
+        selections.buckets[testName] = bucket
+        if (state.lua) state.lua.forceBucket(testName, bucket)
+        render()
+    }
+
+    /**
+     * Show an intent's template right away, nothing is recorded to history
+     * @param {string} intent - Intent with a template
+     */
+    function switchIntent(intent) {
+        selections.intent = intent
+        var personalize = state.personalize
+        if (personalize && personalize.options && root.LuaPersonalize) {
+            root.LuaPersonalize.personalize(Object.assign({}, personalize.options, { forceIntent: intent }))
+        }
+        render()
+    }
+
+    /**
+     * Reload the page, keeping the choices made in the panel
+     */
+    function reload() {
+        root.location.assign(getReloadUrl())
+    }
+
+    // ===================================================================
+    // Rendering
+    // ===================================================================
+
+    function el(tag, text, style) {
+        var node = document.createElement(tag)
+        if (text != null) node.textContent = text
+        if (style) node.style.cssText = style
+        return node
+    }
+
+    function section(panel, title) {
+        var node = el('section', null, 'margin-top:8px')
+        node.appendChild(el('div', title, 'font-weight:bold;color:#8cf;margin-bottom:2px'))
+        panel.appendChild(node)
+        return node
+    }
+
+    function select(values, current, onChange) {
+        var node = el('select', null, 'font:inherit;max-width:140px')
+        values.forEach(function (value) {
+            var option = el('option', value)
+            option.value = value
+            if (value === current) option.selected = true
+            node.appendChild(option)
+        })
+        node.addEventListener('change', function () {
+            onChange(node.value)
+        })
+        return node
+    }
+
+    function formatScores(scores) {
+        return Object.keys(scores || {})
+            .sort(function (a, b) { return scores[b] - scores[a] })
+            .map(function (intent) { return intent + ' ' + Math.round(scores[intent] * 100) / 100 })
+            .join(', ') || '-'
+    }
+
+    function renderLua(panel, tests) {
+        var node = section(panel, 'Lua buckets')
+        if (!tests.length) {
+            node.appendChild(el('div', 'No tests defined'))
+            return
+        }
+        tests.forEach(function (test) {
+            var row = el('div', null, 'display:flex;justify-content:space-between;align-items:center;gap:6px')
+            row.setAttribute('data-test', test.testName)
+            row.appendChild(el('span', test.testName))
+            row.appendChild(select(test.buckets, test.bucket, function (bucket) {
+                switchBucket(test.testName, bucket)
+            }))
+            node.appendChild(row)
+            var details = [test.source, test.reason, test.enrolled ? 'enrolled' : 'not enrolled']
+            node.appendChild(el('div', details.filter(Boolean).join(' · '), 'color:#999'))
+        })
+    }
+
+    function renderIntent(panel, intent) {
+        var node = section(panel, 'LuaIntent decision')
+        if (!intent) {
+            node.appendChild(el('div', 'No decision yet'))
+            return
+        }
+        var decision = intent.decision
+        node.appendChild(el('div', decision.intent + ' (' + Math.round(decision.confidence * 100) + '%, ' + decision.source + ')'))
+        node.appendChild(el('div', decision.reason, 'color:#999'))
+        Object.keys(intent.layers || {}).forEach(function (layer) {
+            node.appendChild(el('div', layer + ': ' + formatScores(intent.layers[layer])))
+        })
+    }
+
+    function renderPersonalize(panel, personalize) {
+        var node = section(panel, 'LuaPersonalize')
+        if (!personalize) {
+            node.appendChild(el('div', 'Not applied yet'))
+            return
+        }
+        var decision = personalize.decision
+        var template = decision.template || {}
+        var row = el('div', null, 'display:flex;justify-content:space-between;align-items:center;gap:6px')
+        row.appendChild(el('span', decision.intent + ' (' + decision.source + ')'))
+        var templates = personalize.options && personalize.options.templates
+        if (templates) {
+            row.appendChild(select(Object.keys(templates), decision.intent, switchIntent))
+        }
+        node.appendChild(row)
+        if (template.headline) node.appendChild(el('div', template.headline, 'color:#999'))
+    }
+
+    function renderHistory(panel, history) {
+        var node = section(panel, 'Weighted history')
+        if (!history) {
+            node.appendChild(el('div', 'No visits recorded'))
+            return
+        }
+        node.appendChild(el('div', history.visits.length + ' visit(s), user ' + history.userId))
+        history.visits.slice(-MAX_VISITS).reverse().forEach(function (visit) {
+            var when = new Date(visit.timestamp).toISOString().replace('T', ' ').slice(0, 16)
+            node.appendChild(el('div', when + '  ' + visit.intent + ' (' + visit.source + ')', 'color:#999'))
+        })
+    }
+
+    /**
+     * Draw the panel, when enabled
+     */
+    function render() {
+        if (!enabled || typeof document === 'undefined' || !document.body) return
+        var panel = document.getElementById(PANEL_ID)
+        if (!panel) {
+            panel = el('div', null, PANEL_STYLE)
+            panel.id = PANEL_ID
+            document.body.appendChild(panel)
+        }
+        panel.textContent = ''
+
+        var header = el('div', null, 'display:flex;justify-content:space-between;align-items:center')
+        header.appendChild(el('strong', 'Lua debug'))
+        var actions = el('span')
+        var reloadButton = el('button', 'Reload', 'font:inherit;margin-right:4px')
+        reloadButton.setAttribute('data-action', 'reload')
+        reloadButton.addEventListener('click', reload)
+        var closeButton = el('button', '×', 'font:inherit')
+        closeButton.setAttribute('data-action', 'close')
+        closeButton.addEventListener('click', disable)
+        actions.appendChild(reloadButton)
+        actions.appendChild(closeButton)
+        header.appendChild(actions)
+        panel.appendChild(header)
+
+        var current = getState()
+        renderLua(panel, current.lua)
+        renderIntent(panel, current.intent)
+        renderPersonalize(panel, current.personalize)
+        renderHistory(panel, current.history)
+    }
+
+    // ===================================================================
+    // Public Functions
+    // ===================================================================
+
+    /**
+     * Show the panel, once the DOM is ready
+     */
+    function enable() {
+        enabled = true
+        if (typeof document === 'undefined') return
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', render)
+        } else {
+            render()
+        }
+    }
+
+    /**
+     * Remove the panel and forget what was reported
+     */
+    function disable() {
+        enabled = false
+        unsubscribe()
+        state.lua = null
+        state.intent = null
+        state.personalize = null
+        if (typeof document === 'undefined') return
+        var panel = document.getElementById(PANEL_ID)
+        if (panel && panel.parentNode) panel.parentNode.removeChild(panel)
+    }
+
+    /**
+     * @returns {boolean} - Whether the panel is shown
+     */
+    function isEnabled() {
+        return enabled
+    }
+
+    /**
+     * Hide the panel and forget what was reported (for tests)
+     */
+    function reset() {
+        disable()
+        selections.buckets = {}
+        selections.intent = null
+    }
+
+    // ===================================================================
+    // Public API
+    // ===================================================================
+
+    var LuaDebug = {
+        enable: enable,
+        disable: disable,
+        isEnabled: isEnabled,
+        isRequested: isRequested,
+        record: record,
+        getState: getState,
+        switchBucket: switchBucket,
+        switchIntent: switchIntent,
+        getReloadUrl: getReloadUrl,
+        reload: reload,
+        render: render,
+        reset: reset,
+
+        // Constants
+        DEBUG_PARAM: DEBUG_PARAM
+    }
+
+    // Register globally
+    root.LuaDebug = LuaDebug
+
+    if (isRequested()) enable()
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this)
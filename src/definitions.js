@@ -0,0 +1,329 @@
+
+// remote experiment definitions
+//
+//   lua.loadDefinitions('https://example.com/experiments.json')
+//
+// the document is validated against DEFINITIONS_SCHEMA (JSON Schema),
+// cached in the store with its ETag and max-age,
+// and the last good copy is used when the fetch fails
+//
+// `lua.define()` runs the stricter getDefinitionProblems() on every test
+
+import {
+  findVariableTypeConflict,
+  getValueType,
+  toTimestamp,
+} from './utils'
+import {
+  COMBINATION_SEPARATOR,
+  DESIGNS,
+  expandFactors,
+} from './factorial'
+
+export const ALLOCATIONS = ['weighted', 'thompson', 'epsilon-greedy']
+
+// test and bucket names end up in `${test}--${bucket}` class names
+const CLASS_NAME_PATTERN = /^[A-Za-z0-9_-]+$/
+
+export const DEFINITIONS_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Lua experiment definitions',
+  type: 'object',
+  required: ['tests'],
+  properties: {
+    version: { type: ['string', 'number'] },
+    tests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        // buckets, unless the test has factors
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          active: { type: 'boolean' },
+          traffic: { type: 'number', minimum: 0, maximum: 1 },
+          layer: { type: 'string' },
+          startAt: { type: ['string', 'number'] },
+          endAt: { type: ['string', 'number'] },
+          version: { type: ['string', 'number'] },
+          rebucket: { enum: ['all', 'reallocate'] },
+          allocation: { enum: ALLOCATIONS },
+          epsilon: { type: 'number', minimum: 0, maximum: 1 },
+          goal: { type: 'string' },
+          audience: { type: 'object' },
+          variables: { type: 'object' },
+          utmRules: { type: 'object', additionalProperties: { type: 'string' } },
+          intentMapping: { type: 'object', additionalProperties: { type: 'string' } },
+          design: { enum: DESIGNS },
+          factors: {
+            type: 'object',
+            minProperties: 1,
+            additionalProperties: {
+              type: 'object',
+              minProperties: 2,
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  weight: { type: 'number', minimum: 0 },
+                  default: { type: 'boolean' },
+                  variables: { type: 'object' },
+                },
+              },
+            },
+          },
+          buckets: {
+            type: 'object',
+            minProperties: 1,
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                weight: { type: 'number', minimum: 0 },
+                default: { type: 'boolean' },
+                winner: { type: 'boolean' },
+                variables: { type: 'object' },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number' && value % 1 === 0) return 'integer'
+  return typeof value
+}
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+// validate a value against the subset of JSON Schema used by DEFINITIONS_SCHEMA:
+// type, enum, required, properties, additionalProperties, items,
+// minimum, maximum, minLength and minProperties
+// returns a list of problems such as '$.tests[0].buckets: must have at least 1 properties'
+export const validateSchema = (value, schema, path = '$', errors = []) => {
+  if (schema.type) {
+    const types = [].concat(schema.type)
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: must be ${types.join(' or ')}`)
+      return errors
+    }
+  }
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`)
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`)
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`)
+  }
+  if (typeof value === 'string' && schema.minLength != null && value.length < schema.minLength) {
+    errors.push(`${path}: must not be empty`)
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateSchema(item, schema.items, `${path}[${i}]`, errors))
+  }
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value)
+    if (schema.minProperties != null && keys.length < schema.minProperties) {
+      errors.push(`${path}: must have at least ${schema.minProperties} properties`)
+    }
+    (schema.required || [])
+      .filter(key => !(key in value))
+      .forEach(key => errors.push(`${path}.${key}: is required`))
+    keys.forEach((key) => {
+      const properties = schema.properties || {}
+      const propertySchema = properties[key] || schema.additionalProperties
+      if (propertySchema && typeof propertySchema === 'object') {
+        validateSchema(value[key], propertySchema, `${path}.${key}`, errors)
+      }
+    })
+  }
+  return errors
+}
+
+// accept `{ tests: [...] }` or a bare array of tests
+export const normalizeDefinitions = document => (Array.isArray(document) ? { tests: document } : document)
+
+export const createDefinitionsError = (problems) => {
+  const error = new Error(`Invalid test definitions:\n  ${problems.join('\n  ')}`)
+  error.problems = problems
+  return error
+}
+
+const isNumberBetween = (value, min, max) => typeof value === 'number' && value >= min && value <= max
+
+const isWeight = value => typeof value === 'number' && isFinite(value) && value >= 0
+
+const addFactorProblems = (test, add) => {
+  const { factors, design } = test
+  if (test.buckets != null) add('.buckets', 'tests with factors get their buckets from the factors')
+  if (design != null && DESIGNS.indexOf(design) === -1) add('.design', `must be one of: ${DESIGNS.join(', ')}`)
+  if (getValueType(factors) !== 'object') return add('.factors', 'must be an object')
+
+  const names = Object.keys(factors)
+  if (!names.length) return add('.factors', 'must have at least one factor')
+  if (design === 'fractional' && names.length < 3) add('.factors', 'fractional designs need at least three factors')
+
+  names.forEach((name) => {
+    const levels = factors[name]
+    const path = `.factors.${name}`
+    if (!CLASS_NAME_PATTERN.test(name)) add(path, 'factor names may only contain letters, digits, "_" and "-"')
+    if (getValueType(levels) !== 'object') return add(path, 'must be an object')
+
+    const levelNames = Object.keys(levels)
+    if (levelNames.length < 2) add(path, 'must have at least two levels')
+    else if (design === 'fractional' && levelNames.length !== 2) add(path, 'fractional designs need exactly two levels per factor')
+
+    levelNames.forEach((levelName) => {
+      const level = levels[levelName]
+      const levelPath = `${path}.${levelName}`
+      if (!CLASS_NAME_PATTERN.test(levelName) || levelName.indexOf(COMBINATION_SEPARATOR) !== -1) {
+        add(levelPath, `level names may only contain letters, digits, "_" and "-", without "${COMBINATION_SEPARATOR}"`)
+      }
+      if (getValueType(level) !== 'object') return add(levelPath, 'must be an object')
+      if (level.weight != null && !isWeight(level.weight)) add(`${levelPath}.weight`, 'must be a number >= 0')
+      if (level.variables != null && getValueType(level.variables) !== 'object') {
+        add(`${levelPath}.variables`, 'variables must be an object')
+      }
+    })
+  })
+  return null
+}
+
+const addBucketProblems = (test, add) => {
+  const { buckets } = test
+  if (buckets == null) return add('.buckets', 'is required')
+  if (getValueType(buckets) !== 'object') return add('.buckets', 'must be an object')
+
+  const names = Object.keys(buckets)
+  if (!names.length) return add('.buckets', 'must have at least one bucket')
+
+  names.forEach((name) => {
+    const bucket = buckets[name]
+    const path = `.buckets.${name}`
+    if (!CLASS_NAME_PATTERN.test(name)) add(path, 'bucket names may only contain letters, digits, "_" and "-"')
+    if (getValueType(bucket) !== 'object') return add(path, 'must be an object')
+    if (bucket.weight != null && !isWeight(bucket.weight)) add(`${path}.weight`, 'must be a number >= 0')
+    if (bucket.variables != null && getValueType(bucket.variables) !== 'object') {
+      add(`${path}.variables`, 'variables must be an object')
+    }
+  })
+
+  const winners = names.filter(name => buckets[name] && buckets[name].winner)
+  if (winners.length > 1) add('.buckets', `only one bucket can be the winner, got ${winners.join(', ')}`)
+
+  // utmRules and intentMapping map a campaign or intent to a bucket name
+  const mappings = ['utmRules', 'intentMapping']
+  mappings.forEach((key) => {
+    const rules = test[key]
+    if (rules == null) return
+    if (getValueType(rules) !== 'object') return add(`.${key}`, 'must be an object')
+    Object.keys(rules)
+      .filter(rule => names.indexOf(rules[rule]) === -1)
+      .forEach(rule => add(`.${key}.${rule}`, `unknown bucket "${rules[rule]}"`))
+  })
+
+  return null
+}
+
+/**
+ * Find everything wrong with tests passed to `lua.define()`
+ * @param {Array} tests - Test definitions
+ * @param {Array} [definedNames] - Names of the tests that are already defined
+ * @returns {Array} - Problems such as 'tests[0].buckets.variant.weight: must be a number >= 0'
+ */
+export const getDefinitionProblems = (tests, definedNames = []) => {
+  const problems = []
+  const names = definedNames.slice()
+
+  tests.forEach((test, i) => {
+    const add = (field, message) => {
+      problems.push(`tests[${i}]${field}: ${message}`)
+    }
+    if (getValueType(test) !== 'object') return add('', 'must be an object')
+
+    if (!test.name || typeof test.name !== 'string') {
+      add('.name', 'is required')
+    } else {
+      if (!CLASS_NAME_PATTERN.test(test.name)) add('.name', 'test names may only contain letters, digits, "_" and "-"')
+      if (names.indexOf(test.name) !== -1) add('.name', `duplicate test name "${test.name}"`)
+      names.push(test.name)
+    }
+
+    // multivariate tests are checked as the buckets their factors expand to
+    const count = problems.length
+    let checked = test
+    if (test.factors == null) {
+      addBucketProblems(test, add)
+    } else {
+      addFactorProblems(test, add)
+      if (problems.length === count) {
+        checked = Object.assign({}, test, { buckets: expandFactors(test) })
+        addBucketProblems(checked, add)
+      }
+    }
+    const bucketsValid = problems.length === count
+
+    if (test.traffic != null && !isNumberBetween(test.traffic, 0, 1)) {
+      add('.traffic', 'must be a number between 0 and 1')
+    }
+    if (test.startAt != null && isNaN(toTimestamp(test.startAt))) {
+      add('.startAt', 'must be a date, timestamp or date string')
+    }
+    if (test.endAt != null && isNaN(toTimestamp(test.endAt))) {
+      add('.endAt', 'must be a date, timestamp or date string')
+    }
+    if (toTimestamp(test.startAt) >= toTimestamp(test.endAt)) {
+      add('.startAt', 'must be before endAt')
+    }
+    if (test.version != null && !/^(number|string)$/.test(typeof test.version)) {
+      add('.version', 'must be a number or a string')
+    }
+    if (test.rebucket != null && test.rebucket !== 'all' && test.rebucket !== 'reallocate') {
+      add('.rebucket', 'must be "all" or "reallocate"')
+    }
+    if (test.allocation != null && ALLOCATIONS.indexOf(test.allocation) === -1) {
+      add('.allocation', `must be one of: ${ALLOCATIONS.join(', ')}`)
+    }
+    if (test.epsilon != null && !isNumberBetween(test.epsilon, 0, 1)) {
+      add('.epsilon', 'must be a number between 0 and 1')
+    }
+    if (test.audience != null && !/^(object|function)$/.test(typeof test.audience)) {
+      add('.audience', 'must be an object or a function')
+    }
+    if (test.variables != null && getValueType(test.variables) !== 'object') {
+      add('.variables', 'variables must be an object')
+    } else if (bucketsValid) {
+      const conflict = findVariableTypeConflict(checked)
+      if (conflict) add('.variables', `variable "${conflict.key}" must have one type, got ${conflict.types.join(' and ')}`)
+    }
+    return null
+  })
+
+  return problems
+}
+
+/**
+ * Validate a definitions document against DEFINITIONS_SCHEMA
+ * @param {Object|Array} document - `{ version, tests }` or an array of tests
+ * @returns {Object} - The normalized document
+ * @throws {Error} - Listing every problem, with `error.problems`
+ */
+export const validateDefinitions = (document) => {
+  const normalized = normalizeDefinitions(document)
+  const problems = validateSchema(normalized, DEFINITIONS_SCHEMA)
+  if (problems.length) throw createDefinitionsError(problems)
+  return normalized
+}
+
+// seconds from a `Cache-Control: max-age=...` header, or null
+export const getMaxAge = (cacheControl) => {
+  if (!cacheControl || /no-cache|no-store/i.test(cacheControl)) return null
+  const match = /max-age=(\d+)/i.exec(cacheControl)
+  return match ? Number(match[1]) : null
+}
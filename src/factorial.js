@@ -0,0 +1,96 @@
+
+// multivariate (factorial) tests
+//
+//   lua.define({
+//     name: 'landing',
+//     factors: {
+//       headline: { short: {}, long: {} },
+//       image: { photo: {}, illustration: {} },
+//       cta: { buy: {}, trial: {} },
+//     },
+//   })
+//
+// the factors are expanded into one bucket per combination of levels,
+// e.g. 'short__photo__buy', so persistence, results and stats work as for
+// any other test. `design: 'full'` (default) runs every combination, which is
+// the same as assigning each factor independently. `design: 'fractional'`
+// runs half of a design where every factor has two levels.
+
+export const DESIGNS = ['full', 'fractional']
+
+// joins the levels of a combination into its bucket name
+export const COMBINATION_SEPARATOR = '__'
+
+const getLevels = (factors, factor) => Object.keys(factors[factor])
+
+// every combination of levels, as { [factor]: level }
+export const getCombinations = factors => Object.keys(factors).reduce((combinations, factor) => {
+  const result = []
+  combinations.forEach((combination) => {
+    getLevels(factors, factor).forEach((level) => {
+      result.push(Object.assign({}, combination, { [factor]: level }))
+    })
+  })
+  return result
+}, [{}])
+
+// half fraction of a two-level design: the runs where an even number of
+// factors are at their second level, which include the first level of every factor
+export const getHalfFraction = factors => getCombinations(factors).filter((combination) => {
+  const second = Object.keys(factors)
+    .filter(factor => getLevels(factors, factor).indexOf(combination[factor]) === 1)
+  return second.length % 2 === 0
+})
+
+export const getCombinationName = (factors, combination) => Object.keys(factors)
+  .map(factor => combination[factor])
+  .join(COMBINATION_SEPARATOR)
+
+// each factor's `default` level, or its first
+export const getDefaultLevels = (factors) => {
+  const levels = {}
+  Object.keys(factors).forEach((factor) => {
+    const names = getLevels(factors, factor)
+    levels[factor] = names.filter(name => factors[factor][name].default)[0] || names[0]
+  })
+  return levels
+}
+
+/**
+ * Expand a test's factors into one bucket per combination of its design
+ * A bucket's weight is the product of its levels' weights and its variables are
+ * the levels' variables merged in factor order. The combination of every
+ * factor's default level is the default bucket.
+ * @param {Object} test - Test definition with `factors` and optional `design`
+ * @returns {Object} - { [combination]: { weight, factors, variables?, default? } }
+ */
+export const expandFactors = (test) => {
+  const { factors } = test
+  const combinations = test.design === 'fractional' ? getHalfFraction(factors) : getCombinations(factors)
+  const defaults = getDefaultLevels(factors)
+  const names = Object.keys(factors)
+
+  const buckets = {}
+  combinations.forEach((combination) => {
+    const bucket = { weight: 1, factors: combination }
+    names.forEach((factor) => {
+      const level = factors[factor][combination[factor]]
+      bucket.weight *= level.weight == null ? 1 : level.weight
+      if (level.variables) bucket.variables = Object.assign({}, bucket.variables, level.variables)
+    })
+    if (names.every(factor => combination[factor] === defaults[factor])) bucket.default = true
+    buckets[getCombinationName(factors, combination)] = bucket
+  })
+  return buckets
+}
+
+/**
+ * Get the level of every factor for one of a test's buckets
+ * @param {Object} test - Test definition
+ * @param {string} bucket - Bucket name
+ * @returns {Object|null} - e.g. { headline: 'short', image: 'photo' }, null for other tests
+ */
+export const getFactorLevels = (test, bucket) => {
+  if (!test || !test.factors || !test.buckets[bucket]) return null
+  return Object.assign({}, test.buckets[bucket].factors)
+}
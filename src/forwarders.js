@@ -0,0 +1,369 @@
+/**
+ * Analytics Forwarders
+ * ====================
+ * Pushes Lua assignments, LuaIntent decisions and LuaPersonalize applied
+ * templates to analytics tools.
+ *
+ * Adapters:
+ *   - dataLayer: GA4 / Google Tag Manager style `dataLayer.push({ event, ... })`
+ *   - segment:   Segment style `analytics.track(event, properties)`
+ *   - beacon:    batched `navigator.sendBeacon(url, JSON)` to your own endpoint
+ *
+ * A forwarder wraps an adapter with batching, retry and an event schema:
+ *
+ *   var ga = LuaForwarders.createForwarder(LuaForwarders.adapters.dataLayer())
+ *   new Lua({ forwarders: [ga] })
+ *   new LuaIntent({ forwarders: [ga] })
+ *   LuaPersonalize.personalize({ templates: templates, forwarders: [ga] })
+ *
+ * Registers on window.LuaForwarders
+ * No ES6 imports. Self-contained IIFE.
+ */
+;(function (root) {
+    'use strict'
+
+    // ===================================================================
+    // Constants & Defaults
+    // ===================================================================
+
+    var DEFAULT_BATCH_SIZE = 1
+    var DEFAULT_BEACON_BATCH_SIZE = 10
+    var DEFAULT_FLUSH_INTERVAL = 2000
+    var DEFAULT_MAX_RETRIES = 3
+    var DEFAULT_RETRY_DELAY = 1000
+
+    // ===================================================================
+    // Event Schema
+    // ===================================================================
+
+    /**
+     * Default mapping of Lua event types to analytics events
+     * Each entry returns { name, properties }, or null to drop the event
+     */
+    var DEFAULT_SCHEMA = {
+        assignment: function (payload) {
+            return {
+                name: 'lua_assignment',
+                properties: {
+                    test_name: payload.testName,
+                    bucket: payload.bucket,
+                    source: payload.source,
+                    holdout: payload.holdout
+                }
+            }
+        },
+        exposure: function (payload) {
+            return {
+                name: 'lua_exposure',
+                properties: {
+                    test_name: payload.testName,
+                    bucket: payload.bucket,
+                    source: payload.source,
+                    first_exposure: payload.first,
+                    holdout: payload.holdout
+                }
+            }
+        },
+        decision: function (payload) {
+            return {
+                name: 'lua_intent_decision',
+                properties: {
+                    intent: payload.intent,
+                    confidence: payload.confidence,
+                    source: payload.source,
+                    priority: payload.priority,
+                    ai_used: payload.aiUsed,
+                    holdout: payload.holdout
+                }
+            }
+        },
+        personalize: function (payload) {
+            var template = payload.template || {}
+            return {
+                name: 'lua_personalize',
+                properties: {
+                    intent: payload.intent,
+                    source: payload.source,
+                    headline: template.headline,
+                    holdout: payload.holdout
+                }
+            }
+        }
+    }
+
+    /**
+     * Copy a payload, adding whether the visitor is in the global holdout
+     * Lua and LuaPersonalize payloads carry it, otherwise window.LuaHoldout is asked
+     * @param {Object} payload - Event payload
+     * @returns {Object} - Payload with a boolean `holdout`
+     */
+    function withHoldout(payload) {
+        var copy = {}
+        for (var key in payload) {
+            copy[key] = payload[key]
+        }
+        if (typeof copy.holdout !== 'boolean') {
+            try {
+                copy.holdout = !!root.LuaHoldout && root.LuaHoldout.isInHoldout()
+            } catch (e) {
+                copy.holdout = false
+            }
+        }
+        return copy
+    }
+
+    /**
+     * Map a Lua event through the schema
+     * @param {Object} schema - Custom schema entries, merged over the default
+     * @param {string} type - 'assignment'|'exposure'|'decision'|'personalize'
+     * @param {Object} payload - Event payload
+     * @returns {Object|null} - { name, properties, type, timestamp } or null
+     */
+    function mapEvent(schema, type, payload) {
+        var mapper = schema && Object.prototype.hasOwnProperty.call(schema, type)
+            ? schema[type]
+            : DEFAULT_SCHEMA[type]
+        if (typeof mapper !== 'function') return null
+
+        var event = mapper(withHoldout(payload || {}))
+        if (!event || !event.name) return null
+
+        return {
+            name: event.name,
+            properties: event.properties || {},
+            type: type,
+            timestamp: Date.now()
+        }
+    }
+
+    // ===================================================================
+    // Adapters
+    // ===================================================================
+
+    /**
+     * GA4 / Google Tag Manager adapter
+     * @param {Object} [options] - Options
+     * @param {Array} [options.dataLayer] - Data layer (default: window.dataLayer, created if missing)
+     * @returns {Object} - Adapter
+     */
+    function dataLayerAdapter(options) {
+        options = options || {}
+
+        return {
+            name: 'dataLayer',
+            send: function (events) {
+                var dataLayer = options.dataLayer || (root.dataLayer = root.dataLayer || [])
+                events.forEach(function (event) {
+                    var entry = { event: event.name }
+                    for (var key in event.properties) {
+                        entry[key] = event.properties[key]
+                    }
+                    dataLayer.push(entry)
+                })
+            }
+        }
+    }
+
+    /**
+     * Segment adapter
+     * @param {Object} [options] - Options
+     * @param {Object} [options.analytics] - Segment client (default: window.analytics)
+     * @returns {Object} - Adapter
+     */
+    function segmentAdapter(options) {
+        options = options || {}
+
+        return {
+            name: 'segment',
+            send: function (events) {
+                var analytics = options.analytics || root.analytics
+                if (!analytics || typeof analytics.track !== 'function') {
+                    throw new Error('[Lua Forwarders] Segment analytics.track is not available')
+                }
+                events.forEach(function (event) {
+                    analytics.track(event.name, event.properties)
+                })
+            }
+        }
+    }
+
+    /**
+     * navigator.sendBeacon adapter, sends each batch as one JSON request
+     * @param {Object} options - Options
+     * @param {string} options.url - Collection endpoint
+     * @param {Function} [options.sendBeacon] - Custom transport (default: navigator.sendBeacon)
+     * @returns {Object} - Adapter
+     */
+    function beaconAdapter(options) {
+        options = options || {}
+        if (!options.url) {
+            throw new Error('[Lua Forwarders] The beacon adapter requires a url')
+        }
+
+        return {
+            name: 'beacon',
+            batchSize: DEFAULT_BEACON_BATCH_SIZE,
+            send: function (events) {
+                var send = options.sendBeacon
+                if (!send && typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+                    send = navigator.sendBeacon.bind(navigator)
+                }
+                if (!send) {
+                    throw new Error('[Lua Forwarders] navigator.sendBeacon is not available')
+                }
+
+                // sendBeacon returns false when the browser refuses to queue the data
+                if (!send(options.url, JSON.stringify({ events: events }))) {
+                    throw new Error('[Lua Forwarders] sendBeacon rejected the batch')
+                }
+            }
+        }
+    }
+
+    // ===================================================================
+    // Forwarder (batching + retry)
+    // ===================================================================
+
+    /**
+     * Wrap an adapter with batching, retry and an event schema
+     * @param {Object} adapter - { name, send(events) }, send may return a Promise
+     * @param {Object} [options] - Options
+     * @param {Object} [options.schema] - Per-type mappers returning { name, properties } or null
+     * @param {number} [options.batchSize] - Events per send (default: 1, beacon: 10)
+     * @param {number} [options.flushInterval] - ms before a partial batch is sent (default: 2000)
+     * @param {number} [options.maxRetries] - Retries per batch (default: 3)
+     * @param {number} [options.retryDelay] - Base retry delay in ms, doubled each retry (default: 1000)
+     * @param {Function} [options.onError] - Called with (error, events) when a batch is dropped
+     * @returns {Object} - Forwarder { track, flush, pending }
+     */
+    function createForwarder(adapter, options) {
+        options = options || {}
+        if (!adapter || typeof adapter.send !== 'function') {
+            throw new Error('[Lua Forwarders] Adapters must have a send(events) function')
+        }
+
+        var batchSize = options.batchSize || adapter.batchSize || DEFAULT_BATCH_SIZE
+        var flushInterval = typeof options.flushInterval === 'number' ? options.flushInterval : DEFAULT_FLUSH_INTERVAL
+        var maxRetries = typeof options.maxRetries === 'number' ? options.maxRetries : DEFAULT_MAX_RETRIES
+        var retryDelay = typeof options.retryDelay === 'number' ? options.retryDelay : DEFAULT_RETRY_DELAY
+        var queue = []
+        var timer = null
+
+        function dropBatch(error, events) {
+            if (typeof options.onError === 'function') {
+                try {
+                    options.onError(error, events)
+                } catch (e) {
+                    // ignore
+                }
+            }
+        }
+
+        function sendBatch(events, attempt) {
+            var result
+            try {
+                result = Promise.resolve(adapter.send(events))
+            } catch (error) {
+                result = Promise.reject(error)
+            }
+
+            return result.catch(function (error) {
+                if (attempt >= maxRetries) {
+                    dropBatch(error, events)
+                    return
+                }
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, retryDelay * Math.pow(2, attempt))
+                }).then(function () {
+                    return sendBatch(events, attempt + 1)
+                })
+            })
+        }
+
+        /**
+         * Send every queued event
+         * @returns {Promise} - Resolves once all batches were sent or dropped
+         */
+        function flush() {
+            if (timer) {
+                clearTimeout(timer)
+                timer = null
+            }
+
+            var batches = []
+            while (queue.length) {
+                batches.push(sendBatch(queue.splice(0, batchSize), 0))
+            }
+            return Promise.all(batches)
+        }
+
+        /**
+         * Queue a Lua event, sending it once the batch is full
+         * @param {string} type - 'assignment'|'exposure'|'decision'|'personalize'
+         * @param {Object} payload - Event payload
+         * @returns {Object|null} - The mapped event, or null when the schema dropped it
+         */
+        function track(type, payload) {
+            var event = mapEvent(options.schema, type, payload)
+            if (!event) return null
+
+            queue.push(event)
+            if (queue.length >= batchSize) {
+                flush()
+            } else if (!timer) {
+                timer = setTimeout(flush, flushInterval)
+            }
+            return event
+        }
+
+        // Send what is left before the page goes away
+        if (batchSize > 1 && typeof root.addEventListener === 'function') {
+            root.addEventListener('pagehide', flush)
+        }
+
+        return {
+            adapter: adapter,
+            track: track,
+            flush: flush,
+            pending: function () { return queue.slice() }
+        }
+    }
+
+    /**
+     * Forward one event to several forwarders, never throwing
+     * @param {Array} forwarders - Forwarders created by createForwarder
+     * @param {string} type - Event type
+     * @param {Object} payload - Event payload
+     */
+    function forward(forwarders, type, payload) {
+        (forwarders || []).forEach(function (forwarder) {
+            try {
+                forwarder.track(type, payload)
+            } catch (e) {
+                // a broken forwarder should not break personalization
+            }
+        })
+    }
+
+    // ===================================================================
+    // Public API
+    // ===================================================================
+
+    var LuaForwarders = {
+        createForwarder: createForwarder,
+        forward: forward,
+        mapEvent: mapEvent,
+        adapters: {
+            dataLayer: dataLayerAdapter,
+            segment: segmentAdapter,
+            beacon: beaconAdapter
+        },
+
+        // Constants
+        DEFAULT_SCHEMA: DEFAULT_SCHEMA
+    }
+
+    // Register globally
+    root.LuaForwarders = LuaForwarders
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this)
@@ -0,0 +1,246 @@
+/**
+ * Global Holdout
+ * ==============
+ * Keeps a share of visitors out of every experiment and personalization,
+ * so the total impact of the stack can be measured against them.
+ *
+ *   LuaHoldout.configure({ percentage: 5 })
+ *
+ * Visitors in the holdout get default buckets from Lua, the 'default'
+ * template from LuaPersonalize and an untouched DOM.
+ *
+ * Membership is sticky: each visitor rolls once and the roll is kept in
+ * localStorage under 'lua_holdout'. Pass a userId to derive the roll from
+ * it instead, e.g. to keep the same membership across devices.
+ *
+ * Registers on window.LuaHoldout
+ * No ES6 imports. Self-contained IIFE.
+ */
+;(function (root) {
+    'use strict'
+
+    // ===================================================================
+    // Constants & State
+    // ===================================================================
+
+    var STORAGE_KEY = 'lua_holdout'
+
+    var config = {
+        percentage: 0,
+        userId: null,
+        storage: null
+    }
+
+    // the roll read from or written to storage, so storage is read once
+    var cachedRoll = null
+
+    // ===================================================================
+    // Roll
+    // ===================================================================
+
+    /**
+     * Get the storage the roll is kept in
+     * LuaConsent's storage keeps it in memory until the visitor consents
+     * @returns {Object|null} - localStorage-like { getItem, setItem, removeItem }
+     */
+    function getStorage() {
+        if (config.storage) return config.storage
+        if (root.LuaConsent) return root.LuaConsent.storage()
+        try {
+            if (typeof localStorage !== 'undefined') return localStorage
+        } catch (e) {
+            // localStorage can throw when cookies are blocked
+        }
+        return null
+    }
+
+    // 32-bit integer multiplication, Math.imul is not available in IE11
+    function multiply(a, b) {
+        return (((a & 0xffff) * b) + ((((a >>> 16) * b) & 0xffff) << 16)) | 0
+    }
+
+    /**
+     * Hash a string to a number from 0 (inclusive) to 1 (exclusive)
+     * murmurhash3 (32-bit), the same hash as hashToUnit() in utils.js,
+     * so Lua reproduces a userId's roll on the server
+     * @param {string} str - String to hash
+     * @returns {number}
+     */
+    function hashToUnit(str) {
+        var c1 = 0xcc9e2d51
+        var c2 = 0x1b873593
+        var length = str.length
+        var remainder = length & 3
+        var bytes = length - remainder
+        var h = 0
+        var k
+        var i = 0
+
+        while (i < bytes) {
+            k = (str.charCodeAt(i) & 0xff) |
+                ((str.charCodeAt(i + 1) & 0xff) << 8) |
+                ((str.charCodeAt(i + 2) & 0xff) << 16) |
+                ((str.charCodeAt(i + 3) & 0xff) << 24)
+            i += 4
+
+            k = multiply(k, c1)
+            k = (k << 15) | (k >>> 17)
+            k = multiply(k, c2)
+
+            h ^= k
+            h = (h << 13) | (h >>> 19)
+            h = (multiply(h, 5) + 0xe6546b64) | 0
+        }
+
+        k = 0
+        /* eslint-disable no-fallthrough */
+        switch (remainder) {
+            case 3: k ^= (str.charCodeAt(i + 2) & 0xff) << 16
+            case 2: k ^= (str.charCodeAt(i + 1) & 0xff) << 8
+            case 1:
+                k ^= str.charCodeAt(i) & 0xff
+                k = multiply(k, c1)
+                k = (k << 15) | (k >>> 17)
+                k = multiply(k, c2)
+                h ^= k
+        }
+        /* eslint-enable no-fallthrough */
+
+        h ^= length
+        h ^= h >>> 16
+        h = multiply(h, 0x85ebca6b)
+        h ^= h >>> 13
+        h = multiply(h, 0xc2b2ae35)
+        h ^= h >>> 16
+
+        return (h >>> 0) / 4294967296
+    }
+
+    /**
+     * Get the visitor's roll, rolling and storing it on the first call
+     * @returns {number} - 0 (inclusive) to 1 (exclusive)
+     */
+    function getRoll() {
+        var userId = typeof config.userId === 'function' ? config.userId() : config.userId
+        if (userId) return hashToUnit(String(userId) + ':holdout')
+        if (cachedRoll !== null) return cachedRoll
+
+        var storage = getStorage()
+        try {
+            var stored = storage ? JSON.parse(storage.getItem(STORAGE_KEY)) : null
+            if (stored && typeof stored.roll === 'number') {
+                cachedRoll = stored.roll
+                return cachedRoll
+            }
+        } catch (e) {
+            // Corrupted entry, roll again
+        }
+
+        cachedRoll = Math.random()
+        try {
+            if (storage) storage.setItem(STORAGE_KEY, JSON.stringify({ roll: cachedRoll }))
+        } catch (e) {
+            // Keep the roll in memory for this page view
+        }
+        return cachedRoll
+    }
+
+    // ===================================================================
+    // Public Functions
+    // ===================================================================
+
+    /**
+     * Check a holdout percentage
+     * Values between 0 and 1 are rejected: they read like a fraction, as in
+     * Lua's `traffic` option, but would hold out less than 1% of visitors
+     * @param {*} percentage - Share of visitors held out, 0 or 1 to 100
+     */
+    function validatePercentage(percentage) {
+        if (typeof percentage !== 'number' || !(percentage >= 0 && percentage <= 100)) {
+            throw new Error('[Lua Holdout] percentage must be a number between 0 and 100')
+        }
+        if (percentage > 0 && percentage < 1) {
+            throw new Error('[Lua Holdout] percentage is 0 to 100, not a fraction: got ' + percentage +
+                ', pass 5 for 5%')
+        }
+    }
+
+    /**
+     * Configure the holdout
+     * @param {Object} options - Options
+     * @param {number} [options.percentage] - Share of visitors held out, 0 or 1 to 100
+     * @param {string|Function} [options.userId] - Visitor ID (or a function returning one) to derive the roll from
+     * @param {Object} [options.storage] - localStorage-like storage for the roll (default: localStorage)
+     * @returns {Object} - { percentage, inHoldout }
+     */
+    function configure(options) {
+        options = options || {}
+        if (options.percentage != null) {
+            validatePercentage(options.percentage)
+            config.percentage = options.percentage
+        }
+        if ('userId' in options) config.userId = options.userId
+        if ('storage' in options) {
+            config.storage = options.storage
+            cachedRoll = null
+        }
+        return getStatus()
+    }
+
+    /**
+     * Whether the visitor is in the holdout
+     * @param {number} [percentage] - Override the configured percentage
+     * @returns {boolean}
+     */
+    function isInHoldout(percentage) {
+        var share = typeof percentage === 'number' ? percentage : config.percentage
+        if (!share) return false
+        return getRoll() * 100 < share
+    }
+
+    /**
+     * Get the holdout configuration and the visitor's membership
+     * @returns {Object} - { percentage, inHoldout }
+     */
+    function getStatus() {
+        return {
+            percentage: config.percentage,
+            inHoldout: isInHoldout()
+        }
+    }
+
+    /**
+     * Forget the configuration and the stored roll
+     */
+    function reset() {
+        var storage = getStorage()
+        try {
+            if (storage) storage.removeItem(STORAGE_KEY)
+        } catch (e) {
+            // Ignore
+        }
+        config.percentage = 0
+        config.userId = null
+        config.storage = null
+        cachedRoll = null
+    }
+
+    // ===================================================================
+    // Public API
+    // ===================================================================
+
+    var LuaHoldout = {
+        configure: configure,
+        isInHoldout: isInHoldout,
+        getStatus: getStatus,
+        getRoll: getRoll,
+        reset: reset,
+
+        // Constants
+        STORAGE_KEY: STORAGE_KEY
+    }
+
+    // Register globally
+    root.LuaHoldout = LuaHoldout
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this)
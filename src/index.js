@@ -4,13 +4,25 @@
 import Lua from './lua'
 
 import browserCookie from './stores/browser-cookie'
+import composite from './stores/composite'
+import consent from './stores/consent'
+import indexedDb from './stores/indexed-db'
 import local from './stores/local'
 import memory from './stores/memory'
+import session from './stores/session'
+import * as stats from './stats/index'
+import { DEFINITIONS_SCHEMA } from './definitions'
 
 // UTM and Personalization modules (IIFE pattern - self-register on window)
-// These files populate window.LuaUTM and window.LuaPersonalize on execution
+// These files populate window.LuaUTM, window.LuaPersonalize, window.LuaForwarders,
+// window.LuaHoldout, window.LuaConsent, window.LuaPrivacy and window.LuaDebug on execution
+import './consent'
 import './utm'
 import './personalization'
+import './forwarders'
+import './holdout'
+import './privacy'
+import './debug'
 
 export default Lua
 
@@ -18,11 +30,29 @@ const stores = {
   browserCookie: browserCookie(),
   local: local(),
   memory: memory(),
+  session: session(),
 }
 
 window.Lua = Lua
 Lua.stores = stores
+// factories, e.g. `Lua.storeFactories.browserCookie({ domain: '.example.com' })`
+Lua.storeFactories = {
+  browserCookie,
+  composite,
+  consent,
+  indexedDB: indexedDb,
+  local,
+  memory,
+  session,
+}
+Lua.stats = stats
+Lua.definitionsSchema = DEFINITIONS_SCHEMA
 
 // Attach UTM and Personalization from window globals (populated by IIFEs)
 Lua.utm = window.LuaUTM || {}
-Lua.personalization = window.LuaPersonalize || {}
\ No newline at end of file
+Lua.personalization = window.LuaPersonalize || {}
+Lua.forwarders = window.LuaForwarders || {}
+Lua.holdout = window.LuaHoldout || {}
+Lua.consent = window.LuaConsent || {}
+Lua.privacy = window.LuaPrivacy || {}
+Lua.debug = window.LuaDebug || {}
\ No newline at end of file
@@ -1,9 +1,49 @@
 
 import {
+  chooseWeightedItem,
+  createRandom,
+  hashString,
+  getBucketShares,
+  getBucketWeights,
   getRandomAssignment,
   getDefaultBucket,
+  getValueType,
+  hashAssignment,
+  hashToUnit,
+  isThenable,
+  parseForcedAssignments,
+  toTimestamp,
+  validateHoldout,
   validateStore,
+  writesCookies,
 } from './utils'
+import consentStore from './stores/consent'
+import localStore from './stores/local'
+import memoryStore from './stores/memory'
+import {
+  buildAudienceContext,
+  matchesAudience,
+} from './audience'
+import {
+  createDefinitionsError,
+  getDefinitionProblems,
+  getMaxAge,
+  validateDefinitions,
+} from './definitions'
+import {
+  expandFactors,
+  getFactorLevels,
+} from './factorial'
+import {
+  epsilonGreedyProbabilities,
+  thompsonProbabilities,
+} from './stats/bandit'
+
+// query parameter QA uses to force buckets, e.g. ?lua_force=hero:variant_b,pricing:control
+const FORCE_PARAM = 'lua_force'
+
+// global the server-rendered state is read from, see server.js
+const STATE_GLOBAL = '__LUA_STATE__'
 
 // UTM functions are now on window.LuaUTM (IIFE pattern, no import needed)
 // utm.js must be loaded before lua.js to populate window.LuaUTM
@@ -16,42 +56,922 @@ export default class Lua {
     }, options)
 
     validateStore(this.store)
+    const browserStore = this.getBrowserStore()
+    if (!this.definitionsStore) this.definitionsStore = browserStore
+    if (!this.resultsStore) this.resultsStore = browserStore
+    validateStore(this.definitionsStore)
+    validateStore(this.resultsStore)
+
+    // keep data in memory until the visitor consents, see consent.js
+    const consent = this.getConsent()
+    if (consent) {
+      const stores = []
+      const wrapped = []
+      const wrap = (store) => {
+        if (stores.indexOf(store) === -1) {
+          stores.push(store)
+          wrapped.push(consentStore(store, consent))
+        }
+        return wrapped[stores.indexOf(store)]
+      }
+      this.store = wrap(this.store)
+      this.definitionsStore = wrap(this.definitionsStore)
+      this.resultsStore = wrap(this.resultsStore)
+      // until then only this page view's data was seen, see reloadStoredState()
+      consent.onChange((state) => {
+        if (state === 'granted') this.reloadStoredState()
+      })
+    }
+
+    // bookkeeping that is not a bucket (traffic rolls, etc.)
+    // lives under its own key so `storageKey` stays a plain test -> bucket map
+    if (!this.metaStorageKey) this.metaStorageKey = `${this.storageKey}-meta`
+    if (!this.resultsStorageKey) this.resultsStorageKey = `${this.storageKey}-results`
+    if (!this.definitionsStorageKey) this.definitionsStorageKey = `${this.storageKey}-definitions`
 
     this.previousAssignments = {}
+    this.previousMeta = {}
+    this.resultCounts = {}
+    this.persistedMeta = {
+      traffic: {},
+      layers: {},
+      versions: {},
+    }
+    this.loaded = false
+    this.loading = this.loadStoredState()
+
+    this.userAssignments = {}
+    this.persistedUserAssignments = {}
+    this.exclusions = {}
+    this.assignmentSources = {}
+    this.listeners = {}
+    this.exposures = {}
+    this.reallocations = {}
+    this.audienceContext = null
+    this.providedTests = []
+    this.loadedTestNames = []
+
+    // QA overrides from the `force` option or the URL, these are never persisted
+    this.forcedAssignments = parseForcedAssignments(
+      this.force === undefined ? this.readForceParam() : this.force
+    )
+
+    // assignments rendered on the server, shown as is instead of bucketing again
+    const state = this.state === undefined ? this.readStateGlobal() : this.state
+    this.hydratedState = {
+      assignments: Object.assign({}, state && state.assignments),
+      exclusions: Object.assign({}, state && state.exclusions),
+      sources: Object.assign({}, state && state.sources),
+    }
+    if (this.holdout === undefined && state && typeof state.holdout === 'boolean') this.holdout = state.holdout
+    validateHoldout(this.holdout)
+    // without LuaHoldout, e.g. on the server, only a userId can decide a percentage
+    var _root = typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : {}
+    if (typeof this.holdout === 'number' && this.holdout > 0 && !this.getUserId() && !_root.LuaHoldout) {
+      throw new Error('A holdout percentage needs a userId or LuaHoldout to decide who is held out')
+    }
+
+    // analytics forwarders (see forwarders.js) get assignments and exposures
+    const forwarders = this.forwarders || []
+    forwarders.forEach((forwarder) => {
+      this.on('assign', payload => forwarder.track('assignment', payload))
+      this.on('exposure', payload => forwarder.track('exposure', payload))
+    })
+
+    // follow assignments made in other tabs and frames
+    this.syncListener = null
+    this.channel = null
+    this.lastSyncedAssignments = null
+    if (this.sync !== false) this.startSync()
+
+    // show this instance in the ?lua_debug=1 overlay, see debug.js
+    if (_root.LuaDebug) _root.LuaDebug.record('lua', this)
+  }
+
+  parseStoredObject(data) {
     try {
       // assert that the data is a JSON string
       // that represents a JSON object
       // saw a bug where it was, for some reason, stored as `null`
-      const data = this.store.get(this.storageKey)
       if (typeof data === 'string' && data[0] === '{') {
-        this.previousAssignments = JSON.parse(data)
+        return JSON.parse(data)
       }
     } catch (_) {
       // ignore
     }
+    return {}
+  }
 
-    this.userAssignments = {}
-    this.persistedUserAssignments = {}
-    this.providedTests = []
+  /**
+   * Get the default store for data the server does not need: cached remote
+   * definitions (the `definitionsStore` option) and results (`resultsStore`)
+   * The store, unless it writes cookies: both can outgrow the ~4 KB of a cookie
+   * and would be sent with every request, so localStorage (or memory) is used
+   * @returns {Object}
+   */
+  getBrowserStore() {
+    if (!writesCookies(this.store)) return this.store
+    const local = localStore()
+    return local.isSupported() ? local : memoryStore()
+  }
+
+  // the store a key lives in
+  getStoreFor(key) {
+    if (key === this.definitionsStorageKey) return this.definitionsStore
+    if (key === this.resultsStorageKey) return this.resultsStore
+    return this.store
+  }
+
+  readStore(key) {
+    try {
+      return this.getStoreFor(key).get(key)
+    } catch (_) {
+      return null
+    }
+  }
+
+  writeStore(key, value) {
+    const result = this.getStoreFor(key).set(key, value)
+    // async stores may reject, the in-memory state is still correct
+    if (isThenable(result)) result.then(null, () => {})
+  }
+
+  /**
+   * Read previous assignments, meta and results from the store
+   * Synchronous stores are read right away. A store is asynchronous when
+   * `get()` returns a Promise or it has a `load()` method to call first
+   * @returns {Promise<Lua>} - Resolves once everything is loaded
+   */
+  loadStoredState() {
+    const keys = [this.storageKey, this.metaStorageKey, this.resultsStorageKey]
+    const apply = (values) => {
+      this.previousAssignments = this.parseStoredObject(values[0])
+      this.previousMeta = this.parseStoredObject(values[1])
+      this.resultCounts = this.parseStoredObject(values[2])
+      this.loaded = true
+      return this
+    }
+
+    const loaders = [this.store, this.resultsStore]
+      .filter((store, i, stores) => typeof store.load === 'function' && stores.indexOf(store) === i)
+
+    let read
+    if (loaders.length) {
+      read = Promise.all(loaders.map(store => Promise.resolve()
+        .then(() => store.load())
+        .then(null, () => {})))
+        .then(() => keys.map(key => this.readStore(key)))
+    } else {
+      const values = keys.map(key => this.readStore(key))
+      if (!values.some(isThenable)) return Promise.resolve(apply(values))
+      read = Promise.resolve(values)
+    }
+
+    // a key that fails to load counts as empty
+    return read
+      .then(values => Promise.all(values.map(value => Promise.resolve(value).then(null, () => null))))
+      .then(apply)
+  }
+
+  /**
+   * Read the store again once the visitor consents
+   * Until then a returning visitor was bucketed from an empty memory copy, so
+   * stored buckets and meta win over this page view's, like assignments from
+   * another tab, and are persisted with the tests this page view added.
+   * Exposures are counted again against the stored results.
+   * @returns {Promise<Lua>}
+   */
+  reloadStoredState() {
+    this.loading = this.loadStoredState().then(() => {
+      ['traffic', 'layers', 'versions'].forEach((section) => {
+        this.persistedMeta[section] = Object.assign({}, this.persistedMeta[section], this.previousMeta[section])
+      })
+
+      const stored = {}
+      this.providedTests.forEach((test) => {
+        if (!this.persistedUserAssignments[test.name]) return
+        const bucket = this.getPreviousBucket(test)
+        if (bucket) stored[test.name] = bucket
+      })
+      this.receiveAssignments(Object.assign({}, this.persistedUserAssignments, stored), 'persisted')
+
+      // first exposures counted before consent only reached the stored results
+      // when there were none, buckets that changed above are exposed again
+      const { exposures, userAssignments } = this
+      const counted = Object.keys(exposures).filter((testName) => {
+        const bucket = exposures[testName]
+        return userAssignments[testName] === bucket && this.previousAssignments[testName] !== bucket
+      })
+      counted.forEach((testName) => {
+        this.getResultEntry(testName, exposures[testName]).exposures++
+      })
+      if (counted.length) this.persistResults()
+
+      this.persist()
+      return this
+    })
+    return this.loading
+  }
+
+  /**
+   * Wait for previous assignments to load from an asynchronous store
+   * @returns {Promise<Lua>}
+   */
+  ready() {
+    return this.loading
   }
 
   define(tests) {
     let normalizedData = tests
     if (!Array.isArray(tests)) normalizedData = [tests]
 
-    normalizedData.forEach((test) => {
-      if (!test.name) throw new Error('Tests must have a name')
-      if (!test.buckets) throw new Error('Tests must have buckets')
-      if (!Object.keys(test.buckets)) throw new Error('Tests must have buckets')
-      this.providedTests.push(test)
-    })
+    const definedNames = this.providedTests.map(test => test.name)
+    const problems = getDefinitionProblems(normalizedData, definedNames)
+    if (problems.length) throw createDefinitionsError(problems)
+
+    // multivariate tests get one bucket per combination of their factors
+    normalizedData
+      .map(test => (test.factors ? Object.assign({}, test, { buckets: expandFactors(test) }) : test))
+      .forEach(test => this.providedTests.push(test))
   }
 
   definitions() {
     return this.providedTests
   }
 
-  removeClasses(testName, exceptClassName) {
+  /**
+   * Load test definitions from a URL or an object and define them
+   * Remote documents are validated against the definitions schema and cached
+   * in the definitions store with their ETag and max-age, the last good copy is
+   * used when a fetch fails. Tests from a previous load are replaced.
+   * @param {string|Object|Array} source - URL, a `{ tests }` document or an array of tests
+   * @param {Object} [options] - Options
+   * @param {Function} [options.fetch] - fetch implementation (default: the `fetch` option, then the global)
+   * @returns {Promise<Object>} - { tests, source: 'object'|'network'|'cache'|'fallback', error? }
+   */
+  loadDefinitions(source, options = {}) {
+    const use = (document, from, error) => {
+      this.replaceDefinitions(document.tests)
+      const result = { tests: document.tests, source: from }
+      if (error) result.error = error
+      return result
+    }
+
+    if (typeof source !== 'string') {
+      return Promise.resolve().then(() => use(validateDefinitions(source), 'object'))
+    }
+
+    const url = source
+    const fetcher = options.fetch || this.fetch || (typeof fetch !== 'undefined' ? fetch : null)
+    let cached = null
+
+    return this.ready()
+      .then(() => {
+        // a separate definitions store may be asynchronous too
+        const store = this.definitionsStore
+        if (store !== this.store && typeof store.load === 'function') return store.load()
+        return null
+      })
+      .then(null, () => {})
+      .then(() => this.readStore(this.definitionsStorageKey))
+      .then((data) => {
+        const entry = this.parseStoredObject(data)
+        if (entry.url === url && entry.document) cached = entry
+        if (cached && cached.expiresAt > this.getNow()) return use(cached.document, 'cache')
+        if (!fetcher) throw new Error('There is no fetch to load definitions with')
+
+        const headers = {}
+        if (cached && cached.etag) headers['If-None-Match'] = cached.etag
+        return fetcher(url, { headers }).then((response) => {
+          const maxAge = getMaxAge(response.headers.get('cache-control'))
+          if (response.status === 304 && cached) {
+            this.cacheDefinitions(url, cached.document, cached.etag, maxAge)
+            return use(cached.document, 'cache')
+          }
+          if (!response.ok) throw new Error(`Failed to load definitions: ${response.status}`)
+
+          return response.json().then((json) => {
+            const document = validateDefinitions(json)
+            // only cache documents `define()` accepted
+            const result = use(document, 'network')
+            this.cacheDefinitions(url, document, response.headers.get('etag'), maxAge)
+            return result
+          })
+        })
+      })
+      .then(null, (error) => {
+        if (cached) return use(cached.document, 'fallback', error)
+        throw error
+      })
+  }
+
+  cacheDefinitions(url, document, etag, maxAge) {
+    this.writeStore(this.definitionsStorageKey, JSON.stringify({
+      url,
+      etag: etag || null,
+      expiresAt: this.getNow() + (maxAge || 0) * 1000,
+      document,
+    }))
+  }
+
+  // swap the tests of the previous load for new ones
+  // leaving the previous tests in place when the new ones are invalid
+  replaceDefinitions(tests) {
+    const previousTests = this.providedTests
+    const names = this.loadedTestNames.concat(tests.map(test => test.name))
+    this.providedTests = this.providedTests.filter(test => names.indexOf(test.name) === -1)
+    try {
+      this.define(tests)
+    } catch (error) {
+      this.providedTests = previousTests
+      throw error
+    }
+    this.loadedTestNames = tests.map(test => test.name)
+  }
+
+  /**
+   * Read `?lua_force=test:bucket,...` from the current URL
+   * @returns {string|null}
+   */
+  readForceParam() {
+    try {
+      if (typeof window === 'undefined' || !window.location || !window.LuaUTM) return null
+      return window.LuaUTM.getQueryParam(window.location.search, FORCE_PARAM)
+    } catch (_) {
+      return null
+    }
+  }
+
+  /**
+   * Read the state serialized by the server into `window.__LUA_STATE__`
+   * @returns {Object|null}
+   */
+  readStateGlobal() {
+    try {
+      return typeof window !== 'undefined' ? window[STATE_GLOBAL] || null : null
+    } catch (_) {
+      return null
+    }
+  }
+
+  /**
+   * Get the assignments to send to the browser, see `server.js`
+   * @returns {Object} - { assignments, exclusions, sources, holdout }, holdout is null when undecided
+   */
+  serialize() {
+    return {
+      assignments: Object.assign({}, this.userAssignments),
+      exclusions: Object.assign({}, this.exclusions),
+      sources: Object.assign({}, this.assignmentSources),
+      // null lets the browser decide, e.g. with LuaHoldout's stored roll
+      holdout: this.getHoldoutDecision(),
+    }
+  }
+
+  /**
+   * Show the bucket the server rendered, once per test
+   * @param {Object} test - Test definition
+   * @returns {boolean} - Whether the test was hydrated
+   */
+  hydrate(test) {
+    const { assignments, exclusions, sources } = this.hydratedState
+    const bucket = assignments[test.name]
+    if (!bucket || !test.buckets[bucket]) return false
+    delete assignments[test.name]
+
+    this.userAssignments[test.name] = bucket
+    const reason = exclusions[test.name]
+    if (reason) {
+      this.exclusions[test.name] = reason
+    } else {
+      this.persistedUserAssignments[test.name] = bucket
+      if (test.layer) this.persistedMeta.layers[test.layer] = test.name
+      test.active = true
+    }
+
+    this.recordAssignment(test.name, sources[test.name] || 'persisted')
+    return true
+  }
+
+  /**
+   * Get the variables of the visitor's bucket,
+   * merged over the test's own `variables` which act as defaults
+   * @param {string} testName - Test name
+   * @returns {Object} - e.g. { buttonColor: 'green', maxItems: 6 }
+   */
+  getVariables(testName) {
+    const test = this.providedTests.filter(x => x.name === testName)[0]
+    if (!test) return {}
+    const bucket = test.buckets[this.userAssignments[testName]]
+    return Object.assign({}, test.variables, bucket && bucket.variables)
+  }
+
+  /**
+   * Get one variable of the visitor's bucket
+   * Falls back to `defaultValue` when the variable is missing
+   * or does not have the same type as `defaultValue`
+   * @param {string} testName - Test name
+   * @param {string} key - Variable name
+   * @param {*} [defaultValue] - Value to use instead, also sets the expected type
+   * @returns {*}
+   */
+  getVariable(testName, key, defaultValue) {
+    const variables = this.getVariables(testName)
+    if (!Object.prototype.hasOwnProperty.call(variables, key)) return defaultValue
+
+    const value = variables[key]
+    if (defaultValue !== undefined && getValueType(value) !== getValueType(defaultValue)) {
+      return defaultValue
+    }
+    return value
+  }
+
+  /**
+   * Get the class names `applyClasses()` adds, e.g. for server rendering
+   * @returns {Array<string>} - e.g. ['hero--variant', 'landing--headline-short']
+   */
+  getClassNames() {
+    const { userAssignments } = this
+    return Object.keys(userAssignments)
+      .filter(testName => userAssignments[testName])
+      .reduce((classNames, testName) => classNames.concat(this.getBucketClassNames(testName)), [])
+  }
+
+  /**
+   * Get the classes of one test's bucket: `test--bucket`,
+   * or `test--factor-level` for each factor of a multivariate test
+   * @param {string} testName - Test name
+   * @returns {Array<string>}
+   */
+  getBucketClassNames(testName) {
+    const bucket = this.userAssignments[testName]
+    if (!bucket) return []
+    const levels = this.getFactors(testName)
+    if (!levels) return [`${testName}--${bucket}`]
+    return Object.keys(levels).map(factor => `${testName}--${factor}-${levels[factor]}`)
+  }
+
+  /**
+   * Get the level of each factor the visitor sees in a multivariate test
+   * @param {string} testName - Test name
+   * @returns {Object|null} - e.g. { headline: 'short', image: 'photo' }, null for other tests
+   */
+  getFactors(testName) {
+    const test = this.providedTests.filter(x => x.name === testName)[0]
+    return getFactorLevels(test, this.userAssignments[testName])
+  }
+
+  /**
+   * Get the bucket QA forced for a test, if it exists
+   * @param {Object} test - Test definition
+   * @returns {string|null}
+   */
+  getForcedBucket(test) {
+    const bucket = this.forcedAssignments[test.name]
+    return bucket && test.buckets[bucket] ? bucket : null
+  }
+
+  /**
+   * Show a forced bucket without enrolling the visitor,
+   * their real bucket stays in the store for when the preview ends
+   * @param {Object} test - Test definition
+   * @param {string} bucket - Forced bucket
+   */
+  preview(test, bucket) {
+    this.userAssignments[test.name] = bucket
+    this.exclusions[test.name] = 'preview'
+
+    const previous = this.previousAssignments[test.name]
+    if (previous) this.persistedUserAssignments[test.name] = previous
+    else delete this.persistedUserAssignments[test.name]
+
+    this.recordAssignment(test.name, 'forced')
+  }
+
+  /**
+   * Force a bucket for QA and show it right away, like `?lua_force=`
+   * The visitor is not enrolled and nothing is persisted
+   * @param {string} testName - Test name
+   * @param {string} bucketName - Bucket name
+   */
+  forceBucket(testName, bucketName) {
+    this.forcedAssignments[testName] = bucketName
+    this.assign()
+  }
+
+  /**
+   * Whether a test, or any test, shows a forced bucket
+   * @param {string} [testName] - Test name
+   * @returns {boolean}
+   */
+  isPreview(testName) {
+    if (testName) return this.exclusions[testName] === 'preview'
+    return Object.keys(this.exclusions).some(name => this.exclusions[name] === 'preview')
+  }
+
+  /**
+   * Get the stable visitor ID used for hash-based bucketing
+   * `userId` may be a string or a function returning one,
+   * e.g. `LuaWeightedHistory.getUserId`
+   * @returns {string|null} - Visitor ID, or null to bucket randomly
+   */
+  getUserId() {
+    try {
+      const { userId } = this
+      const id = typeof userId === 'function' ? userId() : userId
+      return id ? String(id) : null
+    } catch (_) {
+      return null
+    }
+  }
+
+  /**
+   * Get the current time, `now` may be a function for tests and servers
+   * @returns {number} - Milliseconds since the epoch
+   */
+  getNow() {
+    return typeof this.now === 'function' ? toTimestamp(this.now()) : Date.now()
+  }
+
+  /**
+   * Whether a test is inside its `startAt`/`endAt` window
+   * @param {Object} test - Test definition
+   * @returns {boolean}
+   */
+  inSchedule(test) {
+    const now = this.getNow()
+    if (test.startAt != null && now < toTimestamp(test.startAt)) return false
+    if (test.endAt != null && now >= toTimestamp(test.endAt)) return false
+    return true
+  }
+
+  /**
+   * Get the visitor's LuaIntent intent
+   * `intent` may be an intent string, an IntentDecision
+   * or a function returning either, e.g. `() => engine.decide()`
+   * @returns {string|null}
+   */
+  getIntent() {
+    try {
+      const { intent } = this
+      const value = typeof intent === 'function' ? intent() : intent
+      if (value && typeof value === 'object') return value.intent || null
+      return value || null
+    } catch (_) {
+      return null
+    }
+  }
+
+  /**
+   * Whether the visitor is in the global holdout
+   * @returns {boolean}
+   */
+  isInHoldout() {
+    return this.getHoldoutDecision() === true
+  }
+
+  /**
+   * Decide whether the visitor is in the global holdout
+   * Uses the `holdout` option when it is a boolean. A percentage (0 or 1 to 100)
+   * is rolled from the userId with the same hash as LuaHoldout, so the server
+   * and the browser agree, otherwise it is passed to window.LuaHoldout
+   * @returns {boolean|null} - null when there is neither a userId nor LuaHoldout
+   */
+  getHoldoutDecision() {
+    if (typeof this.holdout === 'boolean') return this.holdout
+    const userId = typeof this.holdout === 'number' ? this.getUserId() : null
+    if (userId) return hashToUnit(`${userId}:holdout`) * 100 < this.holdout
+    try {
+      var _root = typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : {}
+      const holdout = _root.LuaHoldout
+      if (holdout) return holdout.isInHoldout(this.holdout)
+    } catch (_) {
+      return false
+    }
+    return this.holdout === 0 ? false : null
+  }
+
+  /**
+   * Get the consent API the store follows
+   * Uses the `consent` option, otherwise window.LuaConsent. Pass `consent: false`
+   * to write to the store regardless.
+   * @returns {Object|null}
+   */
+  getConsent() {
+    if (this.consent !== undefined) return this.consent || null
+    var _root = typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : {}
+    return _root.LuaConsent || null
+  }
+
+  /**
+   * Get the number of recorded visits
+   * Uses the `visitCount` option, otherwise window.LuaWeightedHistory
+   * @returns {number}
+   */
+  getVisitCount() {
+    if (typeof this.visitCount === 'number') return this.visitCount
+    try {
+      var _root = typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : {}
+      const history = _root.LuaWeightedHistory
+      if (!history || !history.isReturningUser()) return 0
+      return history.getHistory().visits.length
+    } catch (_) {
+      return 0
+    }
+  }
+
+  /**
+   * Merge custom attributes used by `audience.attributes` conditions
+   * @param {Object} attributes - e.g. { plan: 'pro', country: 'US' }
+   */
+  setAttributes(attributes) {
+    this.attributes = Object.assign({}, this.attributes, attributes)
+    this.audienceContext = null
+  }
+
+  /**
+   * Get the context that test audiences are matched against
+   * @param {Object} [context] - UTM context, defaults to the current page
+   * @returns {Object} - { utm, referrer, device, intent, visitCount, attributes }
+   */
+  getAudienceContext(context) {
+    if (!context && this.audienceContext) return this.audienceContext
+
+    const audienceContext = buildAudienceContext(context || this.getUTMContext(), {
+      intent: this.getIntent(),
+      visitCount: this.getVisitCount(),
+      attributes: this.attributes,
+    })
+    if (!context) this.audienceContext = audienceContext
+    return audienceContext
+  }
+
+  /**
+   * Whether the visitor matches a test's `audience`
+   * @param {Object} test - Test definition
+   * @param {Object} [context] - UTM context
+   * @returns {boolean}
+   */
+  inAudience(test, context) {
+    if (!test.audience) return true
+    try {
+      return matchesAudience(test.audience, this.getAudienceContext(context))
+    } catch (_) {
+      return false
+    }
+  }
+
+  /**
+   * Check the audience only when a visitor is first enrolled
+   * A visitor who already has a bucket keeps it when they no longer match,
+   * e.g. a `utm` audience on a later page view without UTM parameters
+   * @param {Object} test - Test definition
+   * @param {Object} [context] - UTM context
+   * @returns {boolean}
+   */
+  inEnrollmentAudience(test, context) {
+    if (!test.audience || this.getPreviousBucket(test)) return true
+    return this.inAudience(test, context)
+  }
+
+  /**
+   * Get the visitor's position in a test's traffic allocation
+   * Hashed from the user ID when there is one,
+   * otherwise rolled once and kept in the store so enrollment stays sticky
+   * @param {Object} test - Test definition
+   * @returns {number} - Number between 0 and 1
+   */
+  getTrafficRoll(test) {
+    const userId = this.getUserId()
+    if (userId) return hashToUnit(`${userId}:${test.name}:traffic`)
+
+    const previous = (this.previousMeta.traffic || {})[test.name]
+    const roll = typeof previous === 'number' ? previous : Math.random()
+    this.persistedMeta.traffic[test.name] = roll
+    return roll
+  }
+
+  /**
+   * Check whether the visitor falls inside a test's `traffic` allocation
+   * @param {Object} test - Test definition
+   * @returns {boolean}
+   */
+  inTrafficAllocation(test) {
+    if (test.traffic == null || test.traffic >= 1) return true
+    return this.getTrafficRoll(test) < test.traffic
+  }
+
+  /**
+   * Pick the one test a visitor may enter within a layer
+   * The choice is kept in the store so adding a test to a layer
+   * does not reshuffle visitors who are already in one
+   * @param {string} layer - Layer name
+   * @param {Object} [context] - UTM context
+   * @returns {string|null} - Test name, or null if the layer has no eligible tests
+   */
+  getLayerTest(layer, context) {
+    const layers = this.persistedMeta.layers
+    if (layers[layer]) return layers[layer]
+
+    const candidates = this.providedTests
+      .filter(x => x.layer === layer && x.active !== false && this.inSchedule(x))
+      .filter(x => this.inEnrollmentAudience(x, context))
+      .map(x => x.name)
+    if (!candidates.length) return null
+
+    let choice = (this.previousMeta.layers || {})[layer]
+    if (candidates.indexOf(choice) === -1) {
+      const userId = this.getUserId()
+      const random = userId ? hashToUnit(`${userId}:${layer}:layer`) : null
+      choice = chooseWeightedItem(candidates, candidates.map(() => 1), random)
+    }
+
+    layers[layer] = choice
+    return choice
+  }
+
+  /**
+   * Check whether the visitor may be enrolled in a test
+   * @param {Object} test - Test definition
+   * @param {Object} [context] - UTM context
+   * @returns {string|null} - Why the visitor is excluded, or null if eligible
+   */
+  getExclusionReason(test, context) {
+    if (!this.inSchedule(test)) return 'schedule'
+    if (!this.inEnrollmentAudience(test, context)) return 'audience'
+    if (test.layer && this.getLayerTest(test.layer, context) !== test.name) return 'layer'
+    if (!this.inTrafficAllocation(test)) return 'traffic'
+    return null
+  }
+
+  /**
+   * Serve the default bucket and mark the visitor as not enrolled
+   * @param {Object} test - Test definition
+   * @param {string} reason - Why the visitor is excluded
+   * @returns {string} - The default bucket
+   */
+  exclude(test, reason) {
+    const assignment = getDefaultBucket(test.buckets)
+    this.userAssignments[test.name] = assignment
+    delete this.persistedUserAssignments[test.name]
+    this.exclusions[test.name] = reason
+
+    // keep an existing bucket while a test is outside its schedule
+    // so extending `endAt` does not re-bucket everyone
+    const previous = this.getPreviousBucket(test)
+    if (reason === 'schedule' && previous) {
+      this.persistedUserAssignments[test.name] = previous
+    }
+
+    this.recordAssignment(test.name, 'default')
+    return assignment
+  }
+
+  /**
+   * Whether the visitor is enrolled in a test
+   * Excluded visitors still see the default (or winner) bucket but are not enrolled
+   * @param {string} testName - Test name
+   * @returns {boolean}
+   */
+  isEnrolled(testName) {
+    return testName in this.userAssignments && !this.exclusions[testName]
+  }
+
+  /**
+   * Get the bucket a visitor was previously assigned to, if it still applies
+   * When the test's `version` changed since that assignment, `rebucket` decides
+   * (assignments stored without a version count as the current version):
+   *   - 'all' (default): everyone is bucketed again
+   *   - 'reallocate': only as many visitors move as the new weights require
+   * @param {Object} test - Test definition
+   * @returns {string|null} - Bucket name or null to bucket the visitor again
+   */
+  getPreviousBucket(test) {
+    const bucket = this.previousAssignments[test.name]
+    if (!bucket) return null
+
+    // an assignment stored before the test had a version belongs to its first
+    // version, so adding `version` to a running test does not move anyone
+    const stored = (this.previousMeta.versions || {})[test.name] || {}
+    if (test.version == null || stored.version == null || stored.version === test.version) {
+      return test.buckets[bucket] ? bucket : null
+    }
+
+    if (test.rebucket !== 'reallocate') return null
+
+    // reallocate once per page view, it may roll a random number
+    if (!this.reallocations[test.name]) {
+      this.reallocations[test.name] = this.reallocate(test, bucket, stored.weights)
+    }
+    return this.reallocations[test.name]
+  }
+
+  /**
+   * Move a visitor from a previous version of a test to the new weights
+   * A visitor stays in their bucket unless it shrank, in which case they move
+   * with just the probability needed to fill the buckets that grew
+   * @param {Object} test - Test definition
+   * @param {string} bucket - Previously assigned bucket
+   * @param {Object} [previousShares] - Bucket shares of the previous version
+   * @returns {string} - Bucket name
+   */
+  reallocate(test, bucket, previousShares) {
+    const userId = this.getUserId()
+    const shares = getBucketShares(test.buckets)
+    const share = shares[bucket] || 0
+    const seed = `${userId}:${test.name}:${test.version}`
+
+    // without the previous weights we can only drop removed buckets
+    if (!previousShares) return share > 0 ? bucket : this.chooseBucket(test)
+
+    const previousShare = previousShares[bucket] || 0
+    if (share > 0 && share >= previousShare) return bucket
+    if (share > 0) {
+      const random = userId ? hashToUnit(`${seed}:keep`) : Math.random()
+      if (random < share / previousShare) return bucket
+    }
+
+    const names = Object.keys(shares)
+      .filter(name => shares[name] > (previousShares[name] || 0))
+    if (!names.length) return this.chooseBucket(test)
+
+    const growth = names.map(name => shares[name] - (previousShares[name] || 0))
+    return chooseWeightedItem(names, growth, userId ? hashToUnit(`${seed}:move`) : null)
+  }
+
+  /**
+   * Get the results bandit allocation learns from
+   * The `banditResults` option, an object shaped like `results()` or a function
+   * returning one. This store's results are the visitor's own, still empty when
+   * they are bucketed, so they are never used.
+   * @returns {Object|null}
+   */
+  getBanditResults() {
+    const { banditResults } = this
+    const source = typeof banditResults === 'function' ? banditResults() : banditResults
+    return getValueType(source) === 'object' ? source : null
+  }
+
+  /**
+   * Get the successes and failures of each bucket for bandit allocation
+   * @param {Object} test - Test definition, `goal` limits successes to one goal
+   * @returns {Array<Object>} - [{ successes, failures }] in bucket order
+   */
+  getBanditArms(test) {
+    const results = (this.getBanditResults() || {})[test.name] || {}
+
+    return Object.keys(test.buckets).map((name) => {
+      const entry = results[name] || {}
+      const exposures = entry.exposures || 0
+      let conversions = entry.conversions || 0
+      if (test.goal) conversions = ((entry.goals || {})[test.goal] || {}).conversions || 0
+
+      const successes = Math.min(conversions, exposures)
+      return { successes, failures: exposures - successes }
+    })
+  }
+
+  /**
+   * Get the probability of assigning each bucket
+   * Static `weight`s by default, computed from the `banditResults` option
+   * when the test's `allocation` is 'thompson' or 'epsilon-greedy'
+   * @param {Object} test - Test definition
+   * @returns {Array<number>} - Weights in bucket order
+   */
+  getAllocationWeights(test) {
+    if (!this.getBanditResults()) return getBucketWeights(test.buckets)
+
+    if (test.allocation === 'thompson') {
+      const arms = this.getBanditArms(test)
+      // seeded by the counts so the same results give the same probabilities
+      const random = createRandom(hashString(`${test.name}:${JSON.stringify(arms)}`))
+      return thompsonProbabilities(arms, random)
+    }
+
+    if (test.allocation === 'epsilon-greedy') {
+      const epsilon = test.epsilon == null ? 0.1 : test.epsilon
+      return epsilonGreedyProbabilities(this.getBanditArms(test), epsilon)
+    }
+
+    return getBucketWeights(test.buckets)
+  }
+
+  /**
+   * Pick a new bucket for the visitor
+   * @param {Object} test - Test definition
+   * @returns {string} - Bucket name
+   */
+  chooseBucket(test) {
+    if (!test.allocation || test.allocation === 'weighted') {
+      return getRandomAssignment(test, this.getUserId())
+    }
+
+    const userId = this.getUserId()
+    const random = userId ? hashAssignment(test, userId) : null
+    return chooseWeightedItem(Object.keys(test.buckets), this.getAllocationWeights(test), random)
+  }
+
+  removeClasses(testName, exceptClassNames) {
     try {
       const { root } = this
       if (!root) return
@@ -63,7 +983,7 @@ export default class Lua {
 
       currentClassNames
         .filter(x => x.indexOf(`${testName}--`) === 0)
-        .filter(className => className !== exceptClassName)
+        .filter(className => [].concat(exceptClassNames || []).indexOf(className) === -1)
         .forEach(className => root.classList.remove(className))
     } catch (_) {
       // Ignore
@@ -75,16 +995,18 @@ export default class Lua {
       const { userAssignments, root } = this
       if (!root) return
 
-      Object.keys(userAssignments).forEach((testName) => {
-        const bucket = userAssignments[testName]
+      // the global holdout keeps the page untouched, QA previews still show
+      const holdout = this.isInHoldout()
 
-        const className = bucket ? `${testName}--${bucket}` : null
+      Object.keys(userAssignments).forEach((testName) => {
+        if (holdout && !this.isPreview(testName)) return
+        const classNames = this.getBucketClassNames(testName)
         // remove all classes related to this bucket
-        this.removeClasses(testName, className)
+        this.removeClasses(testName, classNames)
 
         // only assign a class is the test is assigned to a bucket
         // this removes then adds a class, which is not ideal but is clean
-        if (className) root.classList.add(className)
+        classNames.forEach(className => root.classList.add(className))
       })
     } catch (_) {
       // Ignore
@@ -92,19 +1014,43 @@ export default class Lua {
   }
 
   assignAll() {
+    // asynchronous stores: bucket once previous assignments are loaded
+    if (!this.loaded) return this.ready().then(() => this.assignAll())
+
     const {
-      previousAssignments,
       userAssignments,
       persistedUserAssignments,
     } = this
+    const holdout = this.isInHoldout()
 
     this.providedTests.forEach((test) => {
+      // QA overrides take precedence over everything
+      {
+        const forced = this.getForcedBucket(test)
+        if (forced) {
+          this.preview(test, forced)
+          return
+        }
+      }
+
+      // the global holdout only ever sees default buckets,
+      // even when the server rendered another one
+      if (holdout) {
+        this.exclude(test, 'holdout')
+        return
+      }
+
+      // rendered on the server, keep what the page already shows
+      if (this.hydrate(test)) return
+
       // winners take precedence
       {
         const winner = Object.keys(test.buckets)
           .filter(name => test.buckets[name].winner)[0]
         if (winner) {
           userAssignments[test.name] = winner
+          this.exclusions[test.name] = 'winner'
+          this.recordAssignment(test.name, 'winner')
           return
         }
       }
@@ -113,14 +1059,23 @@ export default class Lua {
       // called `.assignAll()` twice.
       if (userAssignments[test.name]) return
 
+      // outside of the schedule, audience, layer or traffic allocation
+      {
+        const reason = this.getExclusionReason(test)
+        if (reason) {
+          this.exclude(test, reason)
+          return
+        }
+      }
+
       {
         // previously assigned, so we continue to persist it
-        const bucket = previousAssignments[test.name]
-        if (bucket && test.buckets[bucket]) {
-          const assignment = previousAssignments[test.name]
+        const assignment = this.getPreviousBucket(test)
+        if (assignment) {
           persistedUserAssignments[test.name] = assignment
           userAssignments[test.name] = assignment
           test.active = true
+          this.recordAssignment(test.name, 'persisted')
           return
         }
       }
@@ -128,14 +1083,17 @@ export default class Lua {
       // inactive tests should be set to default
       if (test.active === false) {
         userAssignments[test.name] = getDefaultBucket(test.buckets)
+        this.exclusions[test.name] = 'inactive'
+        this.recordAssignment(test.name, 'default')
         return
       }
 
       // randomly assign
       {
-        const assignment = getRandomAssignment(test)
+        const assignment = this.chooseBucket(test)
         persistedUserAssignments[test.name] = assignment
         userAssignments[test.name] = assignment
+        this.recordAssignment(test.name, 'random')
       }
     })
 
@@ -144,21 +1102,40 @@ export default class Lua {
   }
 
   assign(testName, bucketName) {
+    if (!this.loaded) return this.ready().then(() => this.assign(testName, bucketName))
     if (!testName) return this.assignAll()
 
     const test = this.providedTests.filter(x => x.name === testName)[0]
+    delete this.exclusions[testName]
     if (bucketName === null || !test) {
       delete this.userAssignments[testName]
       delete this.persistedUserAssignments[testName]
+      this.recordAssignment(testName, 'manual')
       this.persist()
       this.removeClasses(testName)
       return
     }
 
-    const assignment = bucketName || getRandomAssignment(test)
+    const forced = this.getForcedBucket(test)
+    if (!bucketName && forced) {
+      this.preview(test, forced)
+      this.persist()
+      this.applyClasses()
+      return
+    }
+
+    if (!bucketName && this.isInHoldout()) {
+      this.exclude(test, 'holdout')
+      this.persist()
+      return
+    }
+
+    const assignment = bucketName || this.chooseBucket(test)
     this.userAssignments[testName] = assignment
     this.persistedUserAssignments[testName] = assignment
+    if (test.layer) this.persistedMeta.layers[test.layer] = testName
     test.active = true
+    this.recordAssignment(testName, bucketName ? 'manual' : 'random')
 
     this.persist()
     this.applyClasses()
@@ -173,7 +1150,349 @@ export default class Lua {
   }
 
   persist() {
-    this.store.set(this.storageKey, JSON.stringify(this.persistedUserAssignments))
+    this.writeStore(this.storageKey, JSON.stringify(this.persistedUserAssignments))
+    this.broadcastAssignments()
+
+    // remember which version of a test each assignment was made under
+    this.providedTests.forEach((test) => {
+      if (test.version == null || !this.persistedUserAssignments[test.name]) return
+      this.persistedMeta.versions[test.name] = {
+        version: test.version,
+        weights: getBucketShares(test.buckets),
+      }
+    })
+
+    // only write the meta key once there is something to keep
+    const { persistedMeta } = this
+    const hasMeta = Object.keys(persistedMeta)
+      .some(section => Object.keys(persistedMeta[section]).length)
+    if (hasMeta || Object.keys(this.previousMeta).length) {
+      this.writeStore(this.metaStorageKey, JSON.stringify(persistedMeta))
+    }
+
+    this.emit('persist', {
+      assignments: Object.assign({}, this.persistedUserAssignments),
+      holdout: this.isInHoldout(),
+    })
+    this.recordExposures()
+  }
+
+  /**
+   * Listen for assignments made in other tabs and frames, through
+   * `storage` events and a BroadcastChannel where there is one
+   * Called by the constructor unless the `sync` option is false
+   */
+  startSync() {
+    if (typeof window === 'undefined' || this.syncListener) return
+
+    this.syncListener = (event) => {
+      if (event.key === this.storageKey) this.receiveAssignments(this.parseStoredObject(event.newValue))
+    }
+    try {
+      window.addEventListener('storage', this.syncListener)
+      // storage events only fire for localStorage, the channel covers every store
+      if (typeof window.BroadcastChannel === 'function') {
+        this.channel = new window.BroadcastChannel(`lua:${this.storageKey}`)
+        this.channel.onmessage = event => this.receiveAssignments(event.data && event.data.assignments)
+      }
+    } catch (_) {
+      // Ignore
+    }
+  }
+
+  stopSync() {
+    if (!this.syncListener) return
+    try {
+      window.removeEventListener('storage', this.syncListener)
+      if (this.channel) this.channel.close()
+    } catch (_) {
+      // Ignore
+    }
+    this.syncListener = null
+    this.channel = null
+  }
+
+  broadcastAssignments() {
+    const data = JSON.stringify(this.persistedUserAssignments)
+    if (!this.channel || data === this.lastSyncedAssignments) return
+    this.lastSyncedAssignments = data
+    try {
+      this.channel.postMessage({ assignments: JSON.parse(data) })
+    } catch (_) {
+      // Ignore
+    }
+  }
+
+  /**
+   * Reconcile with the assignments persisted by another tab or frame:
+   * update the changed tests, re-apply classes and emit a `change` event
+   * Only tests this instance defined change. The other tab may be another
+   * page with other tests, so tests missing from its map are left alone.
+   * Tests previewed with `lua_force` keep their bucket
+   * @param {Object} assignments - The other tab's test -> bucket map
+   * @param {string} [source] - Source of the changed assignments (default: 'sync')
+   */
+  receiveAssignments(assignments, source = 'sync') {
+    if (getValueType(assignments) !== 'object') return
+    this.lastSyncedAssignments = JSON.stringify(assignments)
+
+    const previous = this.persistedUserAssignments
+    const changes = this.providedTests
+      .filter(test => !this.isPreview(test.name))
+      .filter((test) => {
+        const bucket = assignments[test.name]
+        return !!bucket && !!test.buckets[bucket] && bucket !== previous[test.name]
+      })
+      .map(test => ({
+        testName: test.name,
+        bucket: assignments[test.name],
+        previous: previous[test.name] || null,
+      }))
+    if (!changes.length) return
+
+    changes.forEach(({ testName, bucket }) => {
+      delete this.exclusions[testName]
+      this.assignmentSources[testName] = source
+      this.userAssignments[testName] = bucket
+      this.persistedUserAssignments[testName] = bucket
+    })
+    this.applyClasses()
+    this.emit('change', {
+      changes,
+      assignments: Object.assign({}, this.persistedUserAssignments),
+      holdout: this.isInHoldout(),
+    })
+  }
+
+  /**
+   * Listen to assignment events
+   *   - 'assign': a test was assigned a bucket
+   *   - 'exposure': an enrolled test was shown, once per page view
+   *   - 'persist': assignments were written to the store
+   *   - 'change': another tab or frame changed assignments, or stored ones
+   *     replaced this page view's once the visitor consented
+   * @param {string} event - Event name
+   * @param {Function} fn - Listener, receives the event payload
+   * @returns {Function} - Call to remove the listener
+   */
+  on(event, fn) {
+    if (typeof fn !== 'function') throw new Error('Listeners must be functions')
+    this.listeners[event] = (this.listeners[event] || []).concat(fn)
+    return () => this.off(event, fn)
+  }
+
+  off(event, fn) {
+    this.listeners[event] = (this.listeners[event] || []).filter(x => x !== fn)
+  }
+
+  emit(event, payload) {
+    (this.listeners[event] || []).forEach((fn) => {
+      try {
+        fn(payload)
+      } catch (_) {
+        // a failing listener should not break bucketing
+      }
+    })
+  }
+
+  /**
+   * Describe a test's current assignment for event payloads
+   * @param {string} testName - Test name
+   * @returns {Object} - { testName, bucket, factors, source, enrolled, reason, preview, holdout }
+   */
+  describeAssignment(testName) {
+    return {
+      testName,
+      bucket: this.userAssignments[testName] || null,
+      factors: this.getFactors(testName),
+      source: this.assignmentSources[testName] || null,
+      enrolled: this.isEnrolled(testName),
+      reason: this.exclusions[testName] || null,
+      preview: this.isPreview(testName),
+      holdout: this.isInHoldout(),
+    }
+  }
+
+  /**
+   * Remember how a test was assigned and emit an `assign` event
+   * @param {string} testName - Test name
+   * @param {string} source - 'forced'|'winner'|'persisted'|'utm'|'random'|'default'|'manual'
+   */
+  recordAssignment(testName, source) {
+    this.assignmentSources[testName] = source
+    this.emit('assign', this.describeAssignment(testName))
+  }
+
+  /**
+   * Get the result counts of one bucket, creating them if needed
+   * @param {string} testName - Test name
+   * @param {string} bucket - Bucket name
+   * @returns {Object} - { exposures, conversions, events, value, goals }
+   */
+  getResultEntry(testName, bucket) {
+    const test = this.resultCounts[testName] = this.resultCounts[testName] || {}
+    test[bucket] = test[bucket] || {
+      exposures: 0,
+      conversions: 0,
+      events: 0,
+      value: 0,
+      goals: {},
+    }
+    return test[bucket]
+  }
+
+  persistResults() {
+    this.writeStore(this.resultsStorageKey, JSON.stringify(this.resultCounts))
+  }
+
+  /**
+   * Emit an `exposure` event once per page view for every enrolled test
+   * and count it in the results when the visitor newly entered the bucket,
+   * a bucket carried over from a previous page view was already counted
+   */
+  recordExposures() {
+    const { userAssignments, exposures } = this
+    const exposed = Object.keys(userAssignments).filter((testName) => {
+      const bucket = userAssignments[testName]
+      if (!this.isEnrolled(testName) || exposures[testName] === bucket) return false
+      exposures[testName] = bucket
+      return true
+    })
+
+    const firstExposures = exposed
+      .filter(testName => this.previousAssignments[testName] !== userAssignments[testName])
+    firstExposures.forEach((testName) => {
+      this.getResultEntry(testName, userAssignments[testName]).exposures++
+    })
+    if (firstExposures.length) this.persistResults()
+
+    exposed.forEach((testName) => {
+      const first = firstExposures.indexOf(testName) !== -1
+      this.emit('exposure', Object.assign(this.describeAssignment(testName), { first }))
+    })
+  }
+
+  /**
+   * Record a conversion for every test the visitor is enrolled in
+   * `conversions` count visitors, once per goal, so they never exceed exposures:
+   * the results are the visitor's own, so a count of 1 means already converted.
+   * `events` and `value` count every call.
+   * @param {string} goalName - Goal name, e.g. 'signup' or 'purchase'
+   * @param {Object} [options] - Options
+   * @param {number} [options.value] - Value of the conversion, e.g. order total
+   * @returns {Array<string>} - Names of the tests the conversion was attributed to,
+   *   a Promise of them while an asynchronous store is loading
+   */
+  track(goalName, options = {}) {
+    if (!goalName) throw new Error('Goals must have a name')
+    if (!this.loaded) return this.ready().then(() => this.track(goalName, options))
+    const value = typeof options.value === 'number' ? options.value : 0
+
+    const testNames = Object.keys(this.userAssignments)
+      .filter(testName => this.isEnrolled(testName))
+
+    testNames.forEach((testName) => {
+      const bucket = this.userAssignments[testName]
+      const entry = this.getResultEntry(testName, bucket)
+      const goal = entry.goals[goalName] = entry.goals[goalName] || { conversions: 0, events: 0, value: 0 }
+
+      if (!entry.conversions) entry.conversions++
+      if (!goal.conversions) goal.conversions++
+      entry.events = (entry.events || 0) + 1
+      entry.value += value
+      goal.events = (goal.events || 0) + 1
+      goal.value += value
+    })
+
+    if (testNames.length) this.persistResults()
+    return testNames
+  }
+
+  /**
+   * Get the exposure and conversion counts kept in the store
+   * @returns {Object} - { [testName]: { [bucket]: { exposures, conversions, value, goals } } }
+   */
+  results() {
+    return JSON.parse(JSON.stringify(this.resultCounts))
+  }
+
+  /**
+   * Get every key this instance stores data under
+   * @returns {string[]}
+   */
+  getStorageKeys() {
+    return [this.storageKey, this.metaStorageKey, this.resultsStorageKey, this.definitionsStorageKey]
+  }
+
+  /**
+   * Export everything this instance stored, e.g. for a data subject access request
+   * With a consent store, data kept in memory wins over data in the store
+   * @returns {Promise<Object>} - { [key]: value }, JSON values are parsed
+   */
+  exportData() {
+    const keys = this.getStorageKeys()
+    const read = (key) => {
+      const store = this.getStoreFor(key)
+      const value = this.readStore(key)
+      if (store.type !== 'consent' || value != null) return value
+      // data from earlier visits stays in the store until consent is decided
+      try {
+        return store.store.get(key)
+      } catch (_) {
+        return null
+      }
+    }
+
+    return Promise.resolve(this.loading)
+      .then(() => Promise.all(keys.map(key => Promise.resolve(read(key)).then(null, () => null))))
+      .then((values) => {
+        const data = {}
+        keys.forEach((key, i) => {
+          if (values[i] == null) return
+          try {
+            data[key] = JSON.parse(values[i])
+          } catch (_) {
+            data[key] = values[i]
+          }
+        })
+        return data
+      })
+  }
+
+  /**
+   * Erase everything this instance stored and forget the visitor's assignments
+   * The next `assign()` buckets the visitor as if it were the first visit
+   * @returns {Promise<string[]>} - The keys that were removed
+   */
+  erase() {
+    const keys = this.getStorageKeys()
+    const removals = keys.map((key) => {
+      try {
+        return Promise.resolve(this.getStoreFor(key).remove(key)).then(null, () => {})
+      } catch (_) {
+        return Promise.resolve()
+      }
+    })
+
+    Object.keys(this.userAssignments).forEach(testName => this.removeClasses(testName))
+    this.previousAssignments = {}
+    this.previousMeta = {}
+    this.resultCounts = {}
+    this.userAssignments = {}
+    this.persistedUserAssignments = {}
+    this.persistedMeta = {
+      traffic: {},
+      layers: {},
+      versions: {},
+    }
+    this.exclusions = {}
+    this.assignmentSources = {}
+    this.exposures = {}
+    this.reallocations = {}
+    this.hydratedState = { assignments: {}, exclusions: {}, sources: {} }
+    this.lastSyncedAssignments = null
+
+    return Promise.all(removals).then(() => keys)
   }
 
   /**
@@ -242,9 +1561,12 @@ export default class Lua {
    * Falls back to random A/B if no UTM match
    * @param {string} [testName] - Optional specific test name
    * @param {Object} [options] - Options including forceUTM, context
-   * @returns {Object} - { assignment, source: 'utm'|'random'|'persisted' }
+   * @returns {Object} - { assignment, source: 'forced'|'winner'|'default'|'persisted'|'utm'|'random' },
+   *   a Promise of it while an asynchronous store is loading
    */
   assignWithUTM(testName, options = {}) {
+    if (!this.loaded) return this.ready().then(() => this.assignWithUTM(testName, options))
+
     const context = options.context || this.getUTMContext()
 
     // If no test name, assign all with UTM awareness
@@ -257,21 +1579,60 @@ export default class Lua {
       return { assignment: null, source: 'none' }
     }
 
+    // QA overrides are shown but neither persisted nor counted
+    const forced = this.getForcedBucket(test)
+    if (forced) {
+      this.preview(test, forced)
+      this.persist()
+      this.applyClasses()
+      return { assignment: forced, source: 'forced', enrolled: false, preview: true }
+    }
+
+    // The global holdout gets the default bucket and an untouched page
+    if (this.isInHoldout()) {
+      const assignment = this.exclude(test, 'holdout')
+      this.persist()
+      return { assignment, source: 'default', enrolled: false, reason: 'holdout', holdout: true }
+    }
+
+    // Keep the bucket the server rendered
+    if (this.hydrate(test)) {
+      this.persist()
+      this.applyClasses()
+      return {
+        assignment: this.userAssignments[testName],
+        source: this.assignmentSources[testName],
+        hydrated: true,
+      }
+    }
+
     // Check for winner first (takes precedence)
     const winner = Object.keys(test.buckets).filter(name => test.buckets[name].winner)[0]
     if (winner) {
       this.userAssignments[testName] = winner
+      this.exclusions[testName] = 'winner'
+      this.recordAssignment(testName, 'winner')
       this.persist()
       this.applyClasses()
       return { assignment: winner, source: 'winner' }
     }
 
+    // Visitors outside the schedule, audience or allocation get the default bucket
+    const reason = this.getExclusionReason(test, context)
+    if (reason) {
+      const assignment = this.exclude(test, reason)
+      this.persist()
+      this.applyClasses()
+      return { assignment, source: 'default', enrolled: false, reason }
+    }
+
     // Check previous assignment
-    const previousBucket = this.previousAssignments[testName]
-    if (previousBucket && test.buckets[previousBucket]) {
+    const previousBucket = this.getPreviousBucket(test)
+    if (previousBucket) {
       this.userAssignments[testName] = previousBucket
       this.persistedUserAssignments[testName] = previousBucket
       test.active = true
+      this.recordAssignment(testName, 'persisted')
       this.persist()
       this.applyClasses()
       return { assignment: previousBucket, source: 'persisted' }
@@ -283,16 +1644,18 @@ export default class Lua {
       this.userAssignments[testName] = utmBucket
       this.persistedUserAssignments[testName] = utmBucket
       test.active = true
+      this.recordAssignment(testName, 'utm')
       this.persist()
       this.applyClasses()
       return { assignment: utmBucket, source: 'utm', intent: context.primaryIntent }
     }
 
     // Fallback to random assignment
-    const assignment = getRandomAssignment(test)
+    const assignment = this.chooseBucket(test)
     this.userAssignments[testName] = assignment
     this.persistedUserAssignments[testName] = assignment
     test.active = true
+    this.recordAssignment(testName, 'random')
     this.persist()
     this.applyClasses()
     return { assignment, source: 'random' }
@@ -304,6 +1667,8 @@ export default class Lua {
    * @returns {Object} - Map of test names to assignment results
    */
   assignAllWithUTM(context) {
+    if (!this.loaded) return this.ready().then(() => this.assignAllWithUTM(context))
+
     context = context || this.getUTMContext()
     const results = {}
 
@@ -411,6 +411,54 @@
         return chooseWeightedRandom(names, weights)
     }
 
+    // ===================================================================
+    // QA Preview (forced intents, never recorded to history)
+    // ===================================================================
+
+    var FORCE_INTENT_PARAM = 'lua_force_intent'
+
+    /**
+     * Read one query string parameter from the current URL, see LuaUTM.getQueryParam
+     * @param {string} name - Parameter name
+     * @returns {string|null} - Decoded value or null
+     */
+    function readQueryParam(name) {
+        if (!root.LuaUTM || !root.location) return null
+        return root.LuaUTM.getQueryParam(root.location.search, name)
+    }
+
+    /**
+     * Get the intent QA forced with options.forceIntent or ?lua_force_intent=
+     * Only intents that have a template can be forced
+     * @param {Object} options - Options with templates and optional forceIntent
+     * @returns {string|null} - Forced intent or null
+     */
+    function getForcedIntent(options) {
+        options = options || {}
+        var intent = options.forceIntent || readQueryParam(FORCE_INTENT_PARAM)
+        if (!intent || !options.templates || !options.templates[intent]) return null
+        return intent
+    }
+
+    // ===================================================================
+    // Global Holdout (see holdout.js)
+    // ===================================================================
+
+    /**
+     * Whether the visitor is in the global holdout
+     * @param {Object} options - Options with optional holdout (boolean, or a percentage for LuaHoldout)
+     * @returns {boolean}
+     */
+    function isInHoldout(options) {
+        var holdout = options && options.holdout
+        if (typeof holdout === 'boolean') return holdout
+        try {
+            return !!root.LuaHoldout && root.LuaHoldout.isInHoldout(holdout)
+        } catch (e) {
+            return false
+        }
+    }
+
     // ===================================================================
     // Decision Engine
     // ===================================================================
@@ -550,6 +598,7 @@
      * @param {Object} decision - Decision object { template, intent, source, context }
      * @param {Object} [options] - Configuration options
      * @param {boolean} [options.log] - Enable console logging
+     * @param {Array} [options.forwarders] - Analytics forwarders (from LuaForwarders.createForwarder)
      * @returns {Object} - The decision (pass-through)
      */
     function applyDecisionToDOM(decision, options) {
@@ -613,13 +662,34 @@
                 headline: template.headline,
                 hasUTM: context.hasUTM,
                 utmParams: context.utm || {},
-                aiPowered: decision.source === 'ai' || decision.source === 'ai-cached'
+                aiPowered: decision.source === 'ai' || decision.source === 'ai-cached',
+                preview: !!decision.preview
             })
         }
 
+        // Forward the applied template to analytics
+        if (options.forwarders && root.LuaForwarders) {
+            root.LuaForwarders.forward(options.forwarders, 'personalize', decision)
+        }
+
+        reportToDebug(decision, options)
         return decision
     }
 
+    /**
+     * Show a decision in the ?lua_debug=1 overlay (see debug.js), when it is loaded
+     * @param {Object} decision - Decision object
+     * @param {Object} options - personalize() options, reused to switch intents live
+     */
+    function reportToDebug(decision, options) {
+        if (!root.LuaDebug) return
+        try {
+            root.LuaDebug.record('personalize', { decision: decision, options: options })
+        } catch (e) {
+            // the overlay never breaks personalization
+        }
+    }
+
     // ===================================================================
     // Context Resolution
     // ===================================================================
@@ -673,6 +743,9 @@
      * @param {Object} [options.aiConfig] - AI configuration (required if enableAI is true)
      * @param {boolean} [options.randomFallback] - Enable random A/B fallback (default: true)
      * @param {boolean} [options.log] - Enable console logging (default: true)
+     * @param {Array} [options.forwarders] - Analytics forwarders for the applied template
+     * @param {string} [options.forceIntent] - Preview one template (default: ?lua_force_intent=)
+     * @param {boolean|number} [options.holdout] - Holdout membership, or a percentage (default: window.LuaHoldout)
      * @returns {Object|Promise<Object>} - Result with applied decision (Promise if AI enabled)
      */
     function personalize(options) {
@@ -691,6 +764,35 @@
         }
 
         var context = resolveContext(options)
+
+        // QA preview skips the engines so nothing is recorded to history
+        var forcedIntent = getForcedIntent(options)
+        if (forcedIntent) {
+            return applyDecisionToDOM({
+                template: getTemplate(forcedIntent, options.templates),
+                intent: forcedIntent,
+                source: 'forced',
+                context: context,
+                preview: true
+            }, options)
+        }
+
+        // Holdout visitors keep the page as is, no engine runs and nothing is recorded
+        if (isInHoldout(options)) {
+            var holdoutDecision = {
+                template: getTemplate('default', options.templates),
+                intent: 'default',
+                source: 'holdout',
+                context: context,
+                holdout: true
+            }
+            if (options.forwarders && root.LuaForwarders) {
+                root.LuaForwarders.forward(options.forwarders, 'personalize', holdoutDecision)
+            }
+            reportToDebug(holdoutDecision, options)
+            return holdoutDecision
+        }
+
         var decision = DecisionEngine.decide(context, options)
 
         // If decision is a Promise (AI path), handle async flow
@@ -734,7 +836,8 @@
                 var fallbackOptions = {
                     templates: options.templates,
                     context: resolveContext(options),
-                    log: options.log
+                    log: options.log,
+                    forwarders: options.forwarders
                 }
                 var fallbackDecision = DecisionEngine.standardDecide(fallbackOptions.context, fallbackOptions)
                 return applyDecisionToDOM(fallbackDecision, fallbackOptions)
@@ -810,7 +913,9 @@
         chooseWeightedRandom: chooseWeightedRandom,
         getRandomFallbackIntent: getRandomFallbackIntent,
         applyDecisionToDOM: applyDecisionToDOM,
-        resolveContext: resolveContext
+        resolveContext: resolveContext,
+        getForcedIntent: getForcedIntent,
+        isInHoldout: isInHoldout
     }
 
     // Expose globally
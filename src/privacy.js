@@ -0,0 +1,193 @@
+/**
+ * Privacy
+ * =======
+ * Exports and erases everything Lua modules store about a visitor, e.g. for
+ * data subject access and erasure requests:
+ *
+ *   LuaPrivacy.exportData({ lua: lua }).then(function (data) { ... })
+ *   LuaPrivacy.erase({ lua: lua, newUserId: true })
+ *
+ * Covers the keys of the given Lua instances (`ab-tests`, `ab-tests-meta`,
+ * `ab-tests-results` and `ab-tests-definitions` by default), the
+ * LuaWeightedHistory and LuaIntent histories, the AI cache and the holdout roll.
+ * The consent decision ('lua_consent') is exported but not erased, so the
+ * visitor is not asked again.
+ *
+ * Registers on window.LuaPrivacy
+ * No ES6 imports. Self-contained IIFE.
+ */
+;(function (root) {
+    'use strict'
+
+    // ===================================================================
+    // Constants
+    // ===================================================================
+
+    // stored by Lua modules in localStorage
+    var STORAGE_KEYS = ['lua_personalize_history', 'lua_intent_history', 'lua_holdout']
+    var STORAGE_PREFIXES = ['lua_ai_cache_']
+
+    // exported, but kept on erasure
+    var CONSENT_KEY = 'lua_consent'
+
+    // ===================================================================
+    // Storage
+    // ===================================================================
+
+    /**
+     * Get the storages Lua modules may have written to
+     * LuaConsent's storage holds data kept in memory, localStorage holds data
+     * from earlier visits while consent is pending
+     * @param {Object} options - { storage }
+     * @returns {Object[]} - localStorage-like storages
+     */
+    function getStorages(options) {
+        var storages = []
+        if (options.storage) storages.push(options.storage)
+        if (root.LuaConsent) storages.push(root.LuaConsent.storage())
+        try {
+            if (typeof localStorage !== 'undefined') storages.push(localStorage)
+        } catch (e) {
+            // localStorage can throw when cookies are blocked
+        }
+        return storages.filter(function (storage, i) {
+            return storage && storages.indexOf(storage) === i
+        })
+    }
+
+    function isLuaKey(key) {
+        if (key === CONSENT_KEY || STORAGE_KEYS.indexOf(key) !== -1) return true
+        return STORAGE_PREFIXES.some(function (prefix) {
+            return key.indexOf(prefix) === 0
+        })
+    }
+
+    /**
+     * Get every Lua key in a storage
+     * @param {Object} storage - localStorage-like storage
+     * @returns {string[]}
+     */
+    function getKeys(storage) {
+        var keys = []
+        try {
+            for (var i = 0; i < storage.length; i++) {
+                var key = storage.key(i)
+                if (key && isLuaKey(key)) keys.push(key)
+            }
+        } catch (e) {
+            // Ignore
+        }
+        return keys
+    }
+
+    function parse(value) {
+        try {
+            return JSON.parse(value)
+        } catch (e) {
+            return value
+        }
+    }
+
+    function toArray(lua) {
+        if (!lua) return []
+        return Array.isArray(lua) ? lua : [lua]
+    }
+
+    // ===================================================================
+    // Public Functions
+    // ===================================================================
+
+    /**
+     * Export everything Lua modules stored about the visitor
+     * @param {Object} [options] - Options
+     * @param {Object|Object[]} [options.lua] - Lua instance(s) to export the stores of
+     * @param {Object} [options.storage] - Extra localStorage-like storage to read
+     * @returns {Promise<Object>} - { exportedAt, lua: { [key]: value }, storage: { [key]: value } }
+     */
+    function exportData(options) {
+        options = options || {}
+
+        var storage = {}
+        getStorages(options).forEach(function (store) {
+            getKeys(store).forEach(function (key) {
+                if (key in storage) return
+                try {
+                    var value = store.getItem(key)
+                    if (value !== null) storage[key] = parse(value)
+                } catch (e) {
+                    // Ignore
+                }
+            })
+        })
+
+        return Promise.all(toArray(options.lua).map(function (lua) {
+            return lua.exportData()
+        })).then(function (exports) {
+            return {
+                exportedAt: new Date().toISOString(),
+                lua: exports.reduce(function (data, x) {
+                    return Object.assign(data, x)
+                }, {}),
+                storage: storage
+            }
+        })
+    }
+
+    /**
+     * Erase everything Lua modules stored about the visitor
+     * @param {Object} [options] - Options
+     * @param {Object|Object[]} [options.lua] - Lua instance(s) to erase the stores of
+     * @param {Object} [options.storage] - Extra localStorage-like storage to erase
+     * @param {boolean} [options.newUserId] - Start a new history with a new random user ID
+     * @returns {Promise<Object>} - { removed: string[], userId: string|null }
+     */
+    function erase(options) {
+        options = options || {}
+
+        var removed = []
+        getStorages(options).forEach(function (store) {
+            getKeys(store).forEach(function (key) {
+                if (key === CONSENT_KEY) return
+                try {
+                    store.removeItem(key)
+                } catch (e) {
+                    return
+                }
+                if (removed.indexOf(key) === -1) removed.push(key)
+            })
+        })
+
+        return Promise.all(toArray(options.lua).map(function (lua) {
+            return lua.erase()
+        })).then(function (erased) {
+            erased.forEach(function (keys) {
+                keys.forEach(function (key) {
+                    if (removed.indexOf(key) === -1) removed.push(key)
+                })
+            })
+
+            var userId = null
+            if (options.newUserId && root.LuaWeightedHistory) {
+                userId = root.LuaWeightedHistory.getUserId()
+            }
+            return { removed: removed, userId: userId }
+        })
+    }
+
+    // ===================================================================
+    // Public API
+    // ===================================================================
+
+    var LuaPrivacy = {
+        exportData: exportData,
+        erase: erase,
+
+        // Constants
+        STORAGE_KEYS: STORAGE_KEYS,
+        STORAGE_PREFIXES: STORAGE_PREFIXES
+    }
+
+    // Register globally
+    root.LuaPrivacy = LuaPrivacy
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this)
@@ -0,0 +1,107 @@
+// server-side Lua for Node
+//
+//   import { assignRequest } from '@okeyamy/lua/build/lua.server'
+//
+//   const { classNames, setCookies, script } = assignRequest(req.headers.cookie, tests)
+//   res.setHeader('Set-Cookie', setCookies)
+//   // render <body class="${classNames.join(' ')}"> and ${script} before lua.js
+//
+// the browser `Lua` reads `window.__LUA_STATE__` and shows the same buckets
+// instead of bucketing again, so `applyClasses()` does not flicker
+
+import Lua from './lua'
+import {
+  getCookieAttributes,
+  getRemovalAttributes,
+  serializeCookie,
+} from './stores/browser-cookie'
+
+// parse a `Cookie` request header into { name: value }
+export const parseCookies = (header) => {
+  const cookies = {}
+  String(header || '').split(';').forEach((pair) => {
+    const index = pair.indexOf('=')
+    if (index === -1) return
+    const key = pair.slice(0, index).trim()
+    if (!key || key in cookies) return
+    let value = pair.slice(index + 1).trim()
+    if (value[0] === '"') value = value.slice(1, -1)
+    try {
+      cookies[decodeURIComponent(key)] = decodeURIComponent(value)
+    } catch (_) {
+      cookies[key] = value
+    }
+  })
+  return cookies
+}
+
+/**
+ * A store reading a request's `Cookie` header and collecting `Set-Cookie` values
+ * @param {string} cookieHeader - The request's `Cookie` header
+ * @param {Object} [options] - The browserCookie store options: domain, path, sameSite, secure, maxAge
+ * @returns {Object} - Store with `getSetCookieHeaders()`
+ */
+export const cookieHeaderStore = (cookieHeader, options = {}) => {
+  const attributes = getCookieAttributes(options)
+  const cookies = parseCookies(cookieHeader)
+  const changes = {}
+
+  return {
+    type: 'cookieHeader',
+    get: key => (key in cookies ? cookies[key] : null),
+    set: (key, val) => {
+      cookies[key] = String(val)
+      changes[key] = serializeCookie(key, val, attributes)
+    },
+    remove: (key) => {
+      delete cookies[key]
+      changes[key] = serializeCookie(key, '', getRemovalAttributes(attributes))
+    },
+    isSupported: () => true,
+    getSetCookieHeaders: () => Object.keys(changes).map(key => changes[key]),
+  }
+}
+
+// JSON that is safe inside a <script> tag
+export const serializeState = state => JSON.stringify(state)
+  .replace(/</g, '\\u003c')
+  .replace(/>/g, '\\u003e')
+  .replace(/\u2028/g, '\\u2028')
+  .replace(/\u2029/g, '\\u2029')
+
+/**
+ * Render the script that hands the assignments to the browser
+ * @param {Lua} lua - A Lua instance that assigned the tests
+ * @param {Object} [options] - Options
+ * @param {string} [options.nonce] - CSP nonce
+ * @returns {string} - `<script>window.__LUA_STATE__ = ...</script>`
+ */
+export const renderState = (lua, options = {}) => {
+  const nonce = options.nonce ? ` nonce="${String(options.nonce).replace(/"/g, '&quot;')}"` : ''
+  return `<script${nonce}>window.__LUA_STATE__ = ${serializeState(lua.serialize())}</script>`
+}
+
+/**
+ * Assign the tests for one request
+ * @param {string} cookieHeader - The request's `Cookie` header
+ * @param {Object|Array} tests - Test definitions
+ * @param {Object} [options] - Lua options, plus `cookie` store options and a CSP `nonce`
+ * @returns {Object} - { lua, assignments, classNames, setCookies, script }
+ */
+export const assignRequest = (cookieHeader, tests, options = {}) => {
+  const store = cookieHeaderStore(cookieHeader, options.cookie)
+  const lua = new Lua(Object.assign({ root: null, force: null, state: null }, options, { store }))
+  lua.define(tests)
+  lua.assignAll()
+
+  return {
+    lua,
+    assignments: lua.assignments(),
+    classNames: lua.getClassNames(),
+    setCookies: store.getSetCookieHeaders(),
+    script: renderState(lua, options),
+  }
+}
+
+export { Lua }
+export default Lua
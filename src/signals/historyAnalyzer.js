@@ -22,7 +22,7 @@ const STORAGE_KEY = 'lua_intent_history';
  * @returns {HistoryAnalysis}
  */
 function analyzeHistory(storage) {
-    const store = storage || safeLocalStorage();
+    const store = storage || defaultStorage();
     const visits = readVisits(store);
     const scores = {};
     const frequency = {};
@@ -64,7 +64,7 @@ function analyzeHistory(storage) {
  * @param {Storage} [storage]
  */
 function recordVisit(visit, storage) {
-    const store = storage || safeLocalStorage();
+    const store = storage || defaultStorage();
     const visits = readVisits(store);
 
     visits.unshift({ intent: visit.intent, ts: Date.now() });
@@ -84,7 +84,7 @@ function recordVisit(visit, storage) {
  * @param {Storage} [storage]
  */
 function clearHistory(storage) {
-    const store = storage || safeLocalStorage();
+    const store = storage || defaultStorage();
     try { store.removeItem(STORAGE_KEY); } catch { /* ignore */ }
 }
 
@@ -101,6 +101,13 @@ function readVisits(store) {
     }
 }
 
+// LuaConsent (consent.js) keeps history in memory until the visitor consents
+function defaultStorage() {
+    const root = typeof window !== 'undefined' ? window : global;
+    if (root.LuaConsent) return root.LuaConsent.storage();
+    return safeLocalStorage();
+}
+
 function safeLocalStorage() {
     try {
         return typeof localStorage !== 'undefined' ? localStorage : nullStorage();
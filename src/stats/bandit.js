@@ -0,0 +1,37 @@
+
+// multi-armed bandit allocation
+// each arm is { successes, failures } and the result is
+// the probability of sending the next visitor to each arm
+
+import { sampleBeta } from './distributions'
+
+// Thompson sampling: the probability that each arm is the best,
+// estimated by drawing from every arm's Beta(1 + successes, 1 + failures) posterior
+export const thompsonProbabilities = (arms, random = Math.random, draws = 1000) => {
+  const wins = arms.map(() => 0)
+  for (let i = 0; i < draws; i++) {
+    let best = 0
+    let bestSample = -1
+    arms.forEach((arm, index) => {
+      const sample = sampleBeta(1 + arm.successes, 1 + arm.failures, random)
+      if (sample > bestSample) {
+        best = index
+        bestSample = sample
+      }
+    })
+    wins[best]++
+  }
+  return wins.map(x => x / draws)
+}
+
+// epsilon-greedy: explore uniformly with probability `epsilon`,
+// otherwise exploit the arm(s) with the best observed rate
+export const epsilonGreedyProbabilities = (arms, epsilon = 0.1) => {
+  const rates = arms.map((arm) => {
+    const trials = arm.successes + arm.failures
+    return trials ? arm.successes / trials : 0
+  })
+  const bestRate = Math.max.apply(null, rates)
+  const best = rates.filter(rate => rate === bestRate).length
+  return rates.map(rate => epsilon / arms.length + (rate === bestRate ? (1 - epsilon) / best : 0))
+}
@@ -0,0 +1,160 @@
+
+// probability distributions used by the stats module
+// no dependencies, accurate to roughly 1e-7 which is plenty for A/B tests
+
+// Lanczos approximation of ln(Γ(x))
+const LANCZOS = [
+  676.5203681218851,
+  -1259.1392167224028,
+  771.32342877765313,
+  -176.61502916214059,
+  12.507343278686905,
+  -0.13857109526572012,
+  9.9843695780195716e-6,
+  1.5056327351493116e-7,
+]
+
+export const logGamma = (x) => {
+  if (x < 0.5) {
+    // reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x)
+  }
+
+  const z = x - 1
+  let a = 0.99999999999980993
+  const t = z + LANCZOS.length - 0.5
+  for (let i = 0; i < LANCZOS.length; i++) a += LANCZOS[i] / (z + i + 1)
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a)
+}
+
+// ln(B(a, b))
+export const logBeta = (a, b) => logGamma(a) + logGamma(b) - logGamma(a + b)
+
+// standard normal cumulative distribution, Abramowitz & Stegun 7.1.26
+export const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2
+  const t = 1 / (1 + 0.3275911 * x)
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+  const erf = 1 - poly * Math.exp(-x * x)
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2
+}
+
+// inverse of the standard normal cumulative distribution (Acklam)
+export const normalQuantile = (p) => {
+  if (p <= 0) return -Infinity
+  if (p >= 1) return Infinity
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239]
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572]
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783]
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416]
+  const low = 0.02425
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p))
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+  }
+
+  if (p > 1 - low) return -normalQuantile(1 - p)
+
+  const q = p - 0.5
+  const r = q * q
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+}
+
+// regularized upper incomplete gamma function Q(s, x)
+const gammaQ = (s, x) => {
+  if (x <= 0) return 1
+  const gln = logGamma(s)
+
+  if (x < s + 1) {
+    // series representation of P(s, x)
+    let sum = 1 / s
+    let term = sum
+    for (let n = 1; n < 500; n++) {
+      term *= x / (s + n)
+      sum += term
+      if (Math.abs(term) < Math.abs(sum) * 1e-12) break
+    }
+    return 1 - sum * Math.exp(-x + s * Math.log(x) - gln)
+  }
+
+  // continued fraction representation of Q(s, x)
+  let b = x + 1 - s
+  let c = 1 / 1e-300
+  let d = 1 / b
+  let h = d
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - s)
+    b += 2
+    d = an * d + b
+    if (Math.abs(d) < 1e-300) d = 1e-300
+    c = b + an / c
+    if (Math.abs(c) < 1e-300) c = 1e-300
+    d = 1 / d
+    const delta = d * c
+    h *= delta
+    if (Math.abs(delta - 1) < 1e-12) break
+  }
+  return Math.exp(-x + s * Math.log(x) - gln) * h
+}
+
+// p-value of a chi-square statistic
+export const chiSquarePValue = (chiSquare, degreesOfFreedom) => {
+  if (degreesOfFreedom <= 0) return 1
+  return Math.min(1, Math.max(0, gammaQ(degreesOfFreedom / 2, chiSquare / 2)))
+}
+
+// probability that a draw from Beta(a2, b2) beats a draw from Beta(a1, b1)
+// exact sum (Evan Miller) for small counts, normal approximation otherwise
+export const probabilityBetaBeats = (a1, b1, a2, b2) => {
+  if (a2 <= 1000 && a2 % 1 === 0) {
+    let total = 0
+    for (let i = 0; i < a2; i++) {
+      total += Math.exp(logBeta(a1 + i, b1 + b2) - Math.log(b2 + i) - logBeta(1 + i, b2) - logBeta(a1, b1))
+    }
+    return Math.min(1, Math.max(0, total))
+  }
+
+  const mean1 = a1 / (a1 + b1)
+  const mean2 = a2 / (a2 + b2)
+  const var1 = a1 * b1 / ((a1 + b1) * (a1 + b1) * (a1 + b1 + 1))
+  const var2 = a2 * b2 / ((a2 + b2) * (a2 + b2) * (a2 + b2 + 1))
+  return normalCdf((mean2 - mean1) / Math.sqrt(var1 + var2))
+}
+
+// standard normal draw (Box-Muller), `random` returns numbers in [0, 1)
+export const sampleNormal = (random = Math.random) => {
+  const u = 1 - random()
+  const v = random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+// Gamma(shape, 1) draw (Marsaglia & Tsang)
+export const sampleGamma = (shape, random = Math.random) => {
+  if (shape < 1) return sampleGamma(shape + 1, random) * Math.pow(1 - random(), 1 / shape)
+
+  const d = shape - 1 / 3
+  const c = 1 / Math.sqrt(9 * d)
+  for (;;) {
+    let x
+    let v
+    do {
+      x = sampleNormal(random)
+      v = 1 + c * x
+    } while (v <= 0)
+    v = v * v * v
+    const u = 1 - random()
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v
+  }
+}
+
+// Beta(a, b) draw
+export const sampleBeta = (a, b, random = Math.random) => {
+  const x = sampleGamma(a, random)
+  const y = sampleGamma(b, random)
+  return x / (x + y)
+}
@@ -0,0 +1,317 @@
+
+// experiment analysis for Lua results
+//
+//   import { analyze, analyzeResults } from './stats'
+//
+//   analyze({
+//     control: { exposures: 1000, conversions: 100 },
+//     variant: { exposures: 1000, conversions: 130 },
+//   })
+//
+//   analyzeResults(lua.results(), { definitions: lua.definitions() })
+//
+//   analyzeFactorial(lua.results().landing, { test: landingTest })
+
+import {
+  getBucketShares,
+  getDefaultBucket,
+} from '../utils'
+import {
+  expandFactors,
+  getDefaultLevels,
+} from '../factorial'
+import {
+  chiSquarePValue,
+  normalCdf,
+  normalQuantile,
+  probabilityBetaBeats,
+} from './distributions'
+
+export * from './distributions'
+export * from './bandit'
+
+// p-value below which bucket sizes are considered mismatched
+export const SRM_THRESHOLD = 0.001
+
+const isCount = value => typeof value === 'number' && isFinite(value) && value >= 0
+
+// counts of one bucket, rates above 1 would make every statistic meaningless
+const toCounts = (entry = {}, goal, name) => {
+  const exposures = entry.exposures == null ? 0 : entry.exposures
+  let conversions = entry.conversions == null ? 0 : entry.conversions
+  if (goal) {
+    const counts = (entry.goals || {})[goal] || {}
+    conversions = counts.conversions == null ? 0 : counts.conversions
+  }
+
+  if (!isCount(exposures)) throw new Error(`Bucket "${name}" exposures must be a number >= 0, got ${exposures}`)
+  if (!isCount(conversions)) throw new Error(`Bucket "${name}" conversions must be a number >= 0, got ${conversions}`)
+  if (conversions > exposures) {
+    throw new Error(`Bucket "${name}" has more conversions (${conversions}) than exposures (${exposures})`)
+  }
+  return { exposures, conversions }
+}
+
+// Wilson score interval of a conversion rate
+export const rateInterval = (conversions, exposures, z) => {
+  if (!exposures) return [0, 1]
+  const p = conversions / exposures
+  const z2 = z * z
+  const center = (p + z2 / (2 * exposures)) / (1 + z2 / exposures)
+  const margin = (z / (1 + z2 / exposures)) * Math.sqrt(p * (1 - p) / exposures + z2 / (4 * exposures * exposures))
+  return [Math.max(0, center - margin), Math.min(1, center + margin)]
+}
+
+// compare a variant with the control:
+// lift, difference with its interval, two-proportion z-test p-value
+// and the Bayesian probability to beat control with uniform Beta(1, 1) priors
+export const compare = (control, variant, z) => {
+  const controlRate = control.exposures ? control.conversions / control.exposures : 0
+  const rate = variant.exposures ? variant.conversions / variant.exposures : 0
+  const difference = rate - controlRate
+
+  let pValue = 1
+  let differenceInterval = [-1, 1]
+  if (control.exposures && variant.exposures) {
+    const pooled = (control.conversions + variant.conversions) / (control.exposures + variant.exposures)
+    const pooledError = Math.sqrt(pooled * (1 - pooled) * (1 / control.exposures + 1 / variant.exposures))
+    if (pooledError) pValue = 2 * (1 - normalCdf(Math.abs(difference) / pooledError))
+
+    const error = Math.sqrt(controlRate * (1 - controlRate) / control.exposures + rate * (1 - rate) / variant.exposures)
+    differenceInterval = [difference - z * error, difference + z * error]
+  }
+
+  return {
+    lift: controlRate ? difference / controlRate : null,
+    difference,
+    differenceInterval,
+    pValue: Math.min(1, Math.max(0, pValue)),
+    probabilityToBeatControl: probabilityBetaBeats(
+      1 + control.conversions,
+      1 + control.exposures - control.conversions,
+      1 + variant.conversions,
+      1 + variant.exposures - variant.conversions
+    ),
+  }
+}
+
+// chi-square goodness of fit of the bucket sizes against the expected shares
+export const sampleRatioMismatch = (counts, expected) => {
+  const names = Object.keys(counts)
+  const total = names.reduce((sum, name) => sum + counts[name].exposures, 0)
+  const weights = names.map(name => (expected ? expected[name] || 0 : 1))
+  const weightSum = weights.reduce((a, b) => a + b, 0)
+
+  let chiSquare = 0
+  names.forEach((name, i) => {
+    const expectedExposures = weightSum ? total * weights[i] / weightSum : 0
+    if (!expectedExposures) return
+    const delta = counts[name].exposures - expectedExposures
+    chiSquare += delta * delta / expectedExposures
+  })
+
+  const pValue = total ? chiSquarePValue(chiSquare, names.length - 1) : 1
+  return { chiSquare, pValue, mismatch: pValue < SRM_THRESHOLD }
+}
+
+// recommend the bucket that should get the `winner` flag, if any
+export const recommendWinner = (analysis, options = {}) => {
+  const confidence = analysis.confidence
+  const alpha = options.alpha || 1 - confidence
+  const minProbability = options.minProbability || confidence
+  const minExposures = options.minExposures == null ? 100 : options.minExposures
+  const { buckets, control } = analysis
+  const names = Object.keys(buckets)
+  const variants = names.filter(name => name !== control)
+
+  if (analysis.srm.mismatch) return { winner: null, reason: 'sample-ratio-mismatch' }
+  if (!variants.length || names.some(name => buckets[name].exposures < minExposures)) {
+    return { winner: null, reason: 'insufficient-data' }
+  }
+
+  const winners = variants.filter((name) => {
+    const bucket = buckets[name]
+    return bucket.pValue < alpha && bucket.difference > 0 && bucket.probabilityToBeatControl >= minProbability
+  })
+  if (winners.length) {
+    const winner = winners.sort((a, b) => buckets[b].rate - buckets[a].rate)[0]
+    return { winner, reason: 'beats-control' }
+  }
+
+  const losers = variants.filter((name) => {
+    const bucket = buckets[name]
+    return bucket.pValue < alpha && bucket.difference < 0 && bucket.probabilityToBeatControl <= 1 - minProbability
+  })
+  if (losers.length === variants.length) return { winner: control, reason: 'control-wins' }
+
+  return { winner: null, reason: 'inconclusive' }
+}
+
+/**
+ * Analyze the results of one test
+ * @param {Object} buckets - { [bucket]: { exposures, conversions, goals? } }
+ * @param {Object} [options] - Options
+ * @param {Object} [options.test] - Test definition, for the control and expected shares
+ * @param {string} [options.control] - Control bucket (default: the test's default bucket, or the first)
+ * @param {string} [options.goal] - Analyze one goal instead of all conversions
+ * @param {number} [options.confidence] - Confidence level (default: 0.95)
+ * @param {Object} [options.expected] - Expected share per bucket for the SRM check (default: equal)
+ * @param {number} [options.minExposures] - Exposures per bucket before recommending (default: 100)
+ * @returns {Object} - { control, confidence, buckets, srm, recommendation }
+ * @throws {Error} - When counts are negative, not numbers, or conversions exceed exposures
+ */
+export const analyze = (buckets, options = {}) => {
+  const { test, goal } = options
+  const names = Object.keys(buckets)
+  if (test) {
+    Object.keys(test.buckets)
+      .filter(name => names.indexOf(name) === -1)
+      .forEach(name => names.push(name))
+  }
+  if (!names.length) throw new Error('There are no buckets to analyze')
+
+  const control = options.control || (test ? getDefaultBucket(test.buckets) : names[0])
+  if (names.indexOf(control) === -1) throw new Error(`Unknown control bucket: ${control}`)
+
+  const confidence = options.confidence || 0.95
+  const z = normalQuantile(1 - (1 - confidence) / 2)
+
+  const counts = {}
+  names.forEach((name) => {
+    counts[name] = toCounts(buckets[name], goal, name)
+  })
+
+  const results = {}
+  names.forEach((name) => {
+    const { exposures, conversions } = counts[name]
+    results[name] = {
+      exposures,
+      conversions,
+      rate: exposures ? conversions / exposures : 0,
+      interval: rateInterval(conversions, exposures, z),
+    }
+    if (name !== control) Object.assign(results[name], compare(counts[control], counts[name], z))
+  })
+
+  const expected = options.expected || (test ? getBucketShares(test.buckets) : null)
+  const analysis = {
+    control,
+    confidence,
+    buckets: results,
+    srm: sampleRatioMismatch(counts, expected),
+  }
+  analysis.recommendation = recommendWinner(analysis, options)
+  return analysis
+}
+
+// sum the counts of every combination where each factor in `levels` is at that level
+const sumCounts = (counts, test, levels) => Object.keys(test.buckets)
+  .filter((name) => {
+    const { factors } = test.buckets[name]
+    return Object.keys(levels).every(factor => factors[factor] === levels[factor])
+  })
+  .reduce((sum, name) => {
+    const entry = counts[name] || { exposures: 0, conversions: 0 }
+    return {
+      exposures: sum.exposures + entry.exposures,
+      conversions: sum.conversions + entry.conversions,
+    }
+  }, { exposures: 0, conversions: 0 })
+
+const getRate = counts => (counts.exposures ? counts.conversions / counts.exposures : 0)
+
+/**
+ * Estimate the main effects and two-factor interactions of a multivariate test
+ * Each level is compared with its factor's default level, pooling every combination.
+ * In fractional designs, interactions are aliased with other factors' main effects.
+ * @param {Object} buckets - { [combination]: { exposures, conversions, goals? } }
+ * @param {Object} options - Options
+ * @param {Object} options.test - Test definition with `factors`
+ * @param {string} [options.goal] - Analyze one goal instead of all conversions
+ * @param {number} [options.confidence] - Confidence level (default: 0.95)
+ * @returns {Object} - { design, confidence, factors, interactions }
+ */
+export const analyzeFactorial = (buckets, options = {}) => {
+  const { goal } = options
+  if (!options.test || !options.test.factors) throw new Error('analyzeFactorial() needs a test with factors')
+  const test = options.test.buckets ? options.test : Object.assign({}, options.test, { buckets: expandFactors(options.test) })
+
+  const confidence = options.confidence || 0.95
+  const z = normalQuantile(1 - (1 - confidence) / 2)
+  const names = Object.keys(test.factors)
+  const controls = getDefaultLevels(test.factors)
+
+  const counts = {}
+  Object.keys(buckets).forEach((name) => {
+    counts[name] = toCounts(buckets[name], goal, name)
+  })
+
+  const factors = {}
+  names.forEach((factor) => {
+    const control = controls[factor]
+    const controlCounts = sumCounts(counts, test, { [factor]: control })
+    const levels = {}
+    Object.keys(test.factors[factor]).forEach((level) => {
+      const levelCounts = level === control ? controlCounts : sumCounts(counts, test, { [factor]: level })
+      levels[level] = Object.assign({
+        exposures: levelCounts.exposures,
+        conversions: levelCounts.conversions,
+        rate: getRate(levelCounts),
+        interval: rateInterval(levelCounts.conversions, levelCounts.exposures, z),
+      }, level === control ? {} : compare(controlCounts, levelCounts, z))
+    })
+    factors[factor] = { control, levels }
+  })
+
+  // conversion rate of every pair of levels and, when both factors have two levels,
+  // the interaction: how much `a`'s effect changes when `b` leaves its default level
+  const interactions = []
+  names.forEach((a, i) => {
+    names.slice(i + 1).forEach((b) => {
+      const rates = {}
+      Object.keys(test.factors[a]).forEach((levelA) => {
+        rates[levelA] = {}
+        Object.keys(test.factors[b]).forEach((levelB) => {
+          rates[levelA][levelB] = getRate(sumCounts(counts, test, { [a]: levelA, [b]: levelB }))
+        })
+      })
+
+      let effect = null
+      const levelsA = Object.keys(rates)
+      const levelsB = Object.keys(test.factors[b])
+      if (levelsA.length === 2 && levelsB.length === 2) {
+        const [a0, a1] = levelsA[0] === controls[a] ? levelsA : levelsA.slice().reverse()
+        const [b0, b1] = levelsB[0] === controls[b] ? levelsB : levelsB.slice().reverse()
+        effect = (rates[a1][b1] - rates[a0][b1]) - (rates[a1][b0] - rates[a0][b0])
+      }
+      interactions.push({ factors: [a, b], rates, effect })
+    })
+  })
+
+  return {
+    design: test.design || 'full',
+    confidence,
+    factors,
+    interactions,
+  }
+}
+
+/**
+ * Analyze every test in `lua.results()`
+ * @param {Object} results - { [testName]: { [bucket]: { exposures, conversions } } }
+ * @param {Object} [options] - Options for `analyze()`, plus:
+ * @param {Array} [options.definitions] - `lua.definitions()`, to pick controls and expected shares
+ * @returns {Object} - { [testName]: analysis }, with `factorial` for multivariate tests
+ */
+export const analyzeResults = (results, options = {}) => {
+  const definitions = options.definitions || []
+  const analyses = {}
+  Object.keys(results).forEach((testName) => {
+    const test = definitions.filter(x => x.name === testName)[0]
+    analyses[testName] = analyze(results[testName], Object.assign({}, options, { test }))
+    if (test && test.factors) {
+      analyses[testName].factorial = analyzeFactorial(results[testName], Object.assign({}, options, { test }))
+    }
+  })
+  return analyses
+}
@@ -85,14 +85,25 @@
         }
     }
 
+    /**
+     * Get the storage history is kept in
+     * LuaConsent's storage keeps it in memory until the visitor consents
+     * @returns {Object|null} - localStorage-like storage, or null when unavailable
+     */
+    function getStorage() {
+        if (root.LuaConsent) return root.LuaConsent.storage()
+        return isLocalStorageAvailable() ? localStorage : null
+    }
+
     /**
      * Read history from localStorage
      * @returns {Object|null} - Parsed history object or null
      */
     function readFromStorage() {
-        if (!isLocalStorageAvailable()) return null
+        var storage = getStorage()
+        if (!storage) return null
         try {
-            var raw = localStorage.getItem(STORAGE_KEY)
+            var raw = storage.getItem(STORAGE_KEY)
             if (!raw) return null
             var parsed = JSON.parse(raw)
             if (parsed && typeof parsed === 'object' && Array.isArray(parsed.visits)) {
@@ -111,9 +122,10 @@
      * @returns {boolean} - Whether the write was successful
      */
     function writeToStorage(history) {
-        if (!isLocalStorageAvailable()) return false
+        var storage = getStorage()
+        if (!storage) return false
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(history))
+            storage.setItem(STORAGE_KEY, JSON.stringify(history))
             return true
         } catch (e) {
             console.warn('[Lua History] Failed to write history:', e)
@@ -367,9 +379,10 @@
      * @returns {boolean} - Whether the clear was successful
      */
     function clearHistory() {
-        if (!isLocalStorageAvailable()) return false
+        var storage = getStorage()
+        if (!storage) return false
         try {
-            localStorage.removeItem(STORAGE_KEY)
+            storage.removeItem(STORAGE_KEY)
             return true
         } catch (e) {
             return false
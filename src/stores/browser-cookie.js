@@ -1,13 +1,60 @@
 
-// NOTE: use a module
-export default () => ({
-  type: 'browserCookie',
-  /*eslint-disable */
-  get: key => decodeURIComponent(document.cookie.replace(new RegExp("(?:(?:^|.*;)\\s*" + encodeURIComponent(key).replace(/[\-\.\+\*]/g, "\\$&") + "\\s*\\=\\s*([^;]*).*$)|^.*$"), "$1")) || null,
-  set: (key, val) => {
-    const expirationDate = new Date('12/31/9999').toUTCString()
-    document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(val)}; expires=${expirationDate}; path=/`
-  },
-  /* eslint-enable */
-  isSupported: () => typeof document !== 'undefined',
+// browsers cap cookie lifetimes at 400 days
+const DEFAULT_MAX_AGE = 400 * 24 * 60 * 60
+
+const SAME_SITE = ['strict', 'lax', 'none']
+
+// build a `name=value; attributes` cookie string
+// options: { domain, path, sameSite, secure, maxAge (seconds), expires (Date) }
+export const serializeCookie = (key, val, options = {}) => {
+  const parts = [`${encodeURIComponent(key)}=${encodeURIComponent(val)}`]
+  if (options.maxAge != null) parts.push(`max-age=${Math.floor(options.maxAge)}`)
+  if (options.expires) parts.push(`expires=${new Date(options.expires).toUTCString()}`)
+  if (options.domain) parts.push(`domain=${options.domain}`)
+  parts.push(`path=${options.path || '/'}`)
+  if (options.sameSite) parts.push(`samesite=${options.sameSite}`)
+  if (options.secure) parts.push('secure')
+  return parts.join('; ')
+}
+
+// validate the cookie store options and apply the defaults
+export const getCookieAttributes = (options = {}) => {
+  const sameSite = options.sameSite ? String(options.sameSite).toLowerCase() : null
+  if (sameSite && SAME_SITE.indexOf(sameSite) === -1) {
+    throw new Error(`Unknown cookie sameSite: ${options.sameSite}`)
+  }
+
+  return {
+    domain: options.domain,
+    path: options.path,
+    sameSite,
+    // SameSite=None is only accepted on secure cookies
+    secure: options.secure != null ? options.secure : sameSite === 'none',
+    maxAge: options.maxAge != null ? options.maxAge : DEFAULT_MAX_AGE,
+  }
+}
+
+// attributes that expire a cookie right away
+export const getRemovalAttributes = attributes => Object.assign({}, attributes, {
+  maxAge: 0,
+  expires: new Date(0),
 })
+
+// NOTE: use a module
+export default (options = {}) => {
+  const attributes = getCookieAttributes(options)
+
+  return {
+    type: 'browserCookie',
+    /*eslint-disable */
+    get: key => decodeURIComponent(document.cookie.replace(new RegExp("(?:(?:^|.*;)\\s*" + encodeURIComponent(key).replace(/[\-\.\+\*]/g, "\\$&") + "\\s*\\=\\s*([^;]*).*$)|^.*$"), "$1")) || null,
+    /* eslint-enable */
+    set: (key, val) => {
+      document.cookie = serializeCookie(key, val, attributes)
+    },
+    remove: (key) => {
+      document.cookie = serializeCookie(key, '', getRemovalAttributes(attributes))
+    },
+    isSupported: () => typeof document !== 'undefined',
+  }
+}
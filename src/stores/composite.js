@@ -0,0 +1,56 @@
+
+// writes through to every store and reads from the first one that has data,
+// loading the asynchronous ones first,
+// e.g. composite([local(), browserCookie(), memory()])
+// keeps assignments when one backend is blocked (private mode, partitioning)
+export default (stores = []) => {
+  const usable = () => stores.filter((store) => {
+    try {
+      return store.isSupported()
+    } catch (_) {
+      return false
+    }
+  })
+
+  const each = (fn) => {
+    usable().forEach((store) => {
+      try {
+        fn(store)
+      } catch (_) {
+        // a blocked backend should not stop the others
+      }
+    })
+  }
+
+  const composite = {
+    type: 'composite',
+    stores,
+    get: (key) => {
+      const supported = usable()
+      for (let i = 0; i < supported.length; i++) {
+        try {
+          const value = supported[i].get(key)
+          if (value != null) return value
+        } catch (_) {
+          // try the next store
+        }
+      }
+      return null
+    },
+    set: (key, val) => each(store => store.set(key, val)),
+    remove: key => each(store => store.remove(key)),
+    isSupported: () => usable().length > 0,
+  }
+
+  // asynchronous stores inside, e.g. indexedDB(), are loaded before Lua reads,
+  // a store that fails to load should not stop the others
+  if (stores.some(store => typeof store.load === 'function')) {
+    composite.load = () => Promise.all(usable()
+      .filter(store => typeof store.load === 'function')
+      .map(store => Promise.resolve()
+        .then(() => store.load())
+        .then(null, () => {})))
+  }
+
+  return composite
+}
@@ -0,0 +1,89 @@
+
+import { isThenable } from '../utils'
+
+// keeps a store's data in memory until the visitor consents, see consent.js
+//   - granted: reads and writes go to the store, data kept in memory is migrated
+//     unless the store already holds the key, e.g. from an earlier visit
+//   - pending: reads and writes stay in memory
+//   - denied: the same, and the keys Lua used are removed from the store
+// `new Lua()` wraps its store this way when window.LuaConsent is loaded
+export default (store, consent) => {
+  let memory = Object.create(null)
+  const keys = []
+
+  const use = (key) => {
+    if (keys.indexOf(key) === -1) keys.push(key)
+  }
+  const remove = (key) => {
+    try {
+      store.remove(key)
+    } catch (_) {
+      // Ignore
+    }
+  }
+
+  const migrate = (data) => {
+    Object.keys(data).forEach((key) => {
+      const write = (value) => {
+        if (value == null) store.set(key, data[key])
+      }
+      try {
+        const value = store.get(key)
+        if (isThenable(value)) value.then(write, () => {})
+        else write(value)
+      } catch (_) {
+        // Ignore
+      }
+    })
+  }
+
+  consent.onChange((state) => {
+    if (state === 'granted') {
+      const data = memory
+      memory = Object.create(null)
+      if (!Object.keys(data).length) return
+      // asynchronous stores were not loaded yet, see `load` below
+      if (typeof store.load !== 'function') {
+        migrate(data)
+        return
+      }
+      Promise.resolve()
+        .then(() => store.load())
+        .then(null, () => {})
+        .then(() => migrate(data))
+    } else if (state === 'denied') {
+      keys.forEach(remove)
+      memory = Object.create(null)
+    }
+  })
+
+  const wrapped = {
+    type: 'consent',
+    store,
+    get: (key) => {
+      use(key)
+      if (consent.isGranted()) return store.get(key)
+      // data from an earlier visit must not outlive a withdrawal
+      if (consent.getState() === 'denied') remove(key)
+      return key in memory ? memory[key] : null
+    },
+    set: (key, val) => {
+      use(key)
+      if (consent.isGranted()) return store.set(key, val)
+      memory[key] = val
+      return undefined
+    },
+    remove: (key) => {
+      delete memory[key]
+      return store.remove(key)
+    },
+    isSupported: () => store.isSupported(),
+  }
+
+  // asynchronous stores only load once there is consent
+  if (typeof store.load === 'function') {
+    wrapped.load = () => (consent.isGranted() ? store.load() : Promise.resolve())
+  }
+
+  return wrapped
+}
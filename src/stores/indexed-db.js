@@ -0,0 +1,89 @@
+
+// IndexedDB is asynchronous, so this store keeps a synchronous copy in memory:
+// `load()` reads the database into it and writes go to both,
+// `lua.ready()` calls `load()` before reading previous assignments
+// options: { dbName, storeName, indexedDB (for tests) }
+
+const toPromise = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+export default (options = {}) => {
+  const dbName = options.dbName || 'lua'
+  const storeName = options.storeName || 'lua'
+  const cache = Object.create(null)
+  let database = null
+  let loading = null
+  let writing = Promise.resolve()
+
+  const getFactory = () => {
+    if (options.indexedDB) return options.indexedDB
+    return typeof indexedDB !== 'undefined' ? indexedDB : null
+  }
+
+  const open = () => {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        const request = getFactory().open(dbName, 1)
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName)
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+    return database
+  }
+
+  const withStore = (mode, fn) => open()
+    .then(db => fn(db.transaction(storeName, mode).objectStore(storeName)))
+
+  // queue writes so they reach the database in order
+  const write = (fn) => {
+    writing = writing
+      .then(() => withStore('readwrite', fn))
+      .catch(() => {
+        // keep the in-memory copy when the database is unavailable
+      })
+    return writing
+  }
+
+  return {
+    type: 'indexedDB',
+    get: key => (key in cache ? cache[key] : null),
+    set: (key, val) => {
+      cache[key] = val
+      write(store => toPromise(store.put(val, key)))
+    },
+    remove: (key) => {
+      cache[key] = null
+      write(store => toPromise(store.delete(key)))
+    },
+    isSupported: () => !!getFactory(),
+
+    /**
+     * Read the database into memory, values set before it resolves win
+     * @returns {Promise} - Resolves with the store once loaded
+     */
+    load() {
+      if (!loading) {
+        loading = withStore('readonly', store => Promise.all([
+          toPromise(store.getAllKeys()),
+          toPromise(store.getAll()),
+        ]))
+          .then(([keys, values]) => {
+            keys.forEach((key, i) => {
+              if (!(key in cache)) cache[key] = values[i]
+            })
+          })
+          .catch(() => {
+            // start empty when the database cannot be read
+          })
+          .then(() => this)
+      }
+      return loading
+    },
+
+    // resolves once every write reached the database
+    flush: () => writing,
+  }
+}
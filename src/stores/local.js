@@ -3,6 +3,7 @@ export default () => ({
   type: 'local',
   get: key => localStorage.getItem(key),
   set: (key, val) => localStorage.setItem(key, val),
+  remove: key => localStorage.removeItem(key),
   isSupported: () => {
     if (typeof localStorage !== 'undefined') return true
     const uid = new Date()
@@ -8,6 +8,9 @@ export default () => {
     set: (key, val) => {
       store[key] = val
     },
+    remove: (key) => {
+      delete store[key]
+    },
     isSupported: () => true,
   }
 }
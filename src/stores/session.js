@@ -0,0 +1,17 @@
+
+export default () => ({
+  type: 'session',
+  get: key => sessionStorage.getItem(key),
+  set: (key, val) => sessionStorage.setItem(key, val),
+  remove: key => sessionStorage.removeItem(key),
+  isSupported: () => {
+    try {
+      const uid = String(new Date())
+      sessionStorage.setItem(uid, uid)
+      sessionStorage.removeItem(uid)
+      return true
+    } catch (e) {
+      return false
+    }
+  },
+})
@@ -1,12 +1,83 @@
 
 export const rand = (min, max) => (Math.random() * (max - min)) + min
 
+// 32-bit integer multiplication, Math.imul is not available in IE11
+const multiply = (a, b) => (((a & 0xffff) * b) + ((((a >>> 16) * b) & 0xffff) << 16)) | 0
+
+// murmurhash3 (32-bit) of a string,
+// returns an unsigned integer
+export const hashString = (str, seed = 0) => {
+  const c1 = 0xcc9e2d51
+  const c2 = 0x1b873593
+  const length = str.length
+  const remainder = length & 3
+  const bytes = length - remainder
+  let h = seed
+  let k
+  let i = 0
+
+  while (i < bytes) {
+    k = (str.charCodeAt(i) & 0xff) |
+      ((str.charCodeAt(i + 1) & 0xff) << 8) |
+      ((str.charCodeAt(i + 2) & 0xff) << 16) |
+      ((str.charCodeAt(i + 3) & 0xff) << 24)
+    i += 4
+
+    k = multiply(k, c1)
+    k = (k << 15) | (k >>> 17)
+    k = multiply(k, c2)
+
+    h ^= k
+    h = (h << 13) | (h >>> 19)
+    h = (multiply(h, 5) + 0xe6546b64) | 0
+  }
+
+  k = 0
+  /* eslint-disable no-fallthrough */
+  switch (remainder) {
+    case 3: k ^= (str.charCodeAt(i + 2) & 0xff) << 16
+    case 2: k ^= (str.charCodeAt(i + 1) & 0xff) << 8
+    case 1:
+      k ^= str.charCodeAt(i) & 0xff
+      k = multiply(k, c1)
+      k = (k << 15) | (k >>> 17)
+      k = multiply(k, c2)
+      h ^= k
+  }
+  /* eslint-enable no-fallthrough */
+
+  h ^= length
+  h ^= h >>> 16
+  h = multiply(h, 0x85ebca6b)
+  h ^= h >>> 13
+  h = multiply(h, 0xc2b2ae35)
+  h ^= h >>> 16
+
+  return h >>> 0
+}
+
+// seeded pseudo random number generator (mulberry32),
+// returns a function that works like Math.random()
+export const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) | 0
+    let t = multiply(state ^ (state >>> 15), 1 | state)
+    t = (t + multiply(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// map a string onto a number between 0 (inclusive) and 1 (exclusive)
+export const hashToUnit = str => hashString(String(str)) / 4294967296
+
 // choose a random value with the specified weights
-export const chooseWeightedItem = (names, weights) => {
+// pass `random` (0 to 1) to make the choice deterministic
+export const chooseWeightedItem = (names, weights, random) => {
   if (names.length !== weights.length) throw new Error('names and weights must have equal length!')
   const sum = weights.reduce((a, b) => a + b, 0)
   let limit = 0
-  const n = rand(0, sum)
+  const n = random == null ? rand(0, sum) : random * sum
   for (let i = 0; i < names.length; i++) {
     limit += weights[i]
     if (n <= limit) return names[i]
@@ -26,23 +97,122 @@ export const getDefaultBucket = (buckets) => {
   return defaultBuckets[0] || Object.keys(buckets)[0]
 }
 
+// parse a Date, epoch milliseconds or date string into milliseconds,
+// returns NaN when the value is not a valid date
+export const toTimestamp = (value) => {
+  if (value instanceof Date) return value.getTime()
+  if (typeof value === 'number') return value
+  if (typeof value === 'string') return new Date(value).getTime()
+  return NaN
+}
+
+// type used to check bucket variables:
+// 'string', 'number', 'boolean', 'array', 'object' or 'null'
+export const getValueType = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+// find a variable that has two types across a test's `variables`
+// and its buckets' `variables`, e.g. { key: 'maxItems', types: ['number', 'string'] }
+export const findVariableTypeConflict = (test) => {
+  const types = {}
+  const sources = [test.variables].concat(Object.keys(test.buckets).map(name => test.buckets[name].variables))
+  for (let i = 0; i < sources.length; i++) {
+    const variables = sources[i] || {}
+    const keys = Object.keys(variables)
+    for (let j = 0; j < keys.length; j++) {
+      const key = keys[j]
+      const type = getValueType(variables[key])
+      if (types[key] && types[key] !== type) return { key, types: [types[key], type] }
+      types[key] = type
+    }
+  }
+  return null
+}
+
+export const isThenable = value => !!value && typeof value.then === 'function'
+
 export const validateStore = (store) => {
   if (!store) throw new Error('You must supply a store!')
   if (typeof store.get !== 'function') throw new Error('The store must implement .get()')
   if (typeof store.set !== 'function') throw new Error('The store must implement .set()')
+  if (typeof store.remove !== 'function') throw new Error('The store must implement .remove()')
   if (typeof store.isSupported !== 'function') throw new Error('The store must implement .isSupported()')
   if (!store.isSupported()) throw new Error('The store is not supported.')
 }
 
-export const getRandomAssignment = (test) => {
-  const names = Object.keys(test.buckets)
-  const weights = []
+// `holdout` is a percentage (see holdout.js), unlike the `traffic` fraction,
+// so values between 0 and 1 are rejected rather than holding out under 1%
+export const validateHoldout = (holdout) => {
+  if (holdout == null || typeof holdout === 'boolean') return
+  if (typeof holdout !== 'number' || !(holdout >= 0 && holdout <= 100)) {
+    throw new Error(`The holdout must be a boolean or a percentage from 0 to 100, got ${holdout}`)
+  }
+  if (holdout > 0 && holdout < 1) {
+    throw new Error(`The holdout is a percentage from 0 to 100, not a fraction: got ${holdout}, pass 5 for 5%`)
+  }
+}
+
+// whether a store, or a store it wraps (composite, consent), writes cookies,
+// in the browser or as server Set-Cookie headers (see server.js)
+export const writesCookies = (store) => {
+  if (!store) return false
+  if (store.type === 'browserCookie' || store.type === 'cookieHeader') return true
+  if (store.store) return writesCookies(store.store)
+  return (store.stores || []).some(writesCookies)
+}
+
+// get the weight of each bucket, in `Object.keys()` order,
+// buckets without a weight count as 1
+export const getBucketWeights = buckets => Object.keys(buckets).map((name) => {
+  const weight = buckets[name].weight
+  return weight == null ? 1 : weight
+})
 
-  names.forEach((innerBucketName) => {
-    let weight = test.buckets[innerBucketName].weight
-    if (weight == null) weight = 1
-    weights.push(weight)
+// get each bucket's share of the traffic, e.g. { control: 0.5, variant: 0.5 }
+export const getBucketShares = (buckets) => {
+  const names = Object.keys(buckets)
+  const weights = getBucketWeights(buckets)
+  const sum = weights.reduce((a, b) => a + b, 0)
+  const shares = {}
+  names.forEach((name, i) => {
+    shares[name] = sum ? weights[i] / sum : 0
   })
+  return shares
+}
 
-  return chooseWeightedItem(names, weights)
+// hash a user ID onto the bucketing roll of a test, the version is part of it
+// so that `rebucket: 'all'` rolls identified visitors again too
+export const hashAssignment = (test, userId) => {
+  const seed = test.version == null ? `${userId}:${test.name}` : `${userId}:${test.name}:${test.version}`
+  return hashToUnit(seed)
+}
+
+// assign a bucket by weight,
+// hashing the user ID and test name when a user ID is given
+// so that the same visitor always lands in the same bucket
+export const getRandomAssignment = (test, userId) => {
+  const names = Object.keys(test.buckets)
+  const weights = getBucketWeights(test.buckets)
+  const random = userId ? hashAssignment(test, userId) : null
+  return chooseWeightedItem(names, weights, random)
+}
+
+// parse forced buckets, e.g. 'hero_test:variant_b,pricing:control'
+// into { hero_test: 'variant_b', pricing: 'control' }
+export const parseForcedAssignments = (value) => {
+  const forced = {}
+  if (!value) return forced
+  if (typeof value === 'object') return Object.assign(forced, value)
+
+  String(value).split(',').forEach((pair) => {
+    const index = pair.indexOf(':')
+    if (index === -1) return
+    const testName = pair.slice(0, index).trim()
+    const bucket = pair.slice(index + 1).trim()
+    if (testName && bucket) forced[testName] = bucket
+  })
+  return forced
 }
@@ -71,6 +71,29 @@
         return result
     }
 
+    /**
+     * Read one query string parameter, e.g. getQueryParam('?a=1&b=2', 'b') === '2'
+     * Shared by Lua (lua_force), LuaPersonalize (lua_force_intent) and LuaDebug (lua_debug)
+     * @param {string} search - e.g. location.search
+     * @param {string} name - Parameter name
+     * @returns {string|null} - Decoded value, the raw value if it can't be decoded, or null
+     */
+    function getQueryParam(search, name) {
+        var pairs = (search || '').replace(/^\?/, '').split('&')
+        for (var i = 0; i < pairs.length; i++) {
+            var index = pairs[i].indexOf('=')
+            var key = index === -1 ? pairs[i] : pairs[i].slice(0, index)
+            if (key !== name) continue
+            var value = index === -1 ? '' : pairs[i].slice(index + 1)
+            try {
+                return decodeURIComponent(value.replace(/\+/g, ' '))
+            } catch (e) {
+                return value
+            }
+        }
+        return null
+    }
+
     /**
      * Sanitize parameter value to prevent XSS
      * Only allows alphanumeric, dashes, underscores, and spaces
@@ -286,6 +309,7 @@
     // Register on the global root (window in browser)
     var LuaUTM = {
         extractUTMParams: extractUTMParams,
+        getQueryParam: getQueryParam,
         sanitizeParam: sanitizeParam,
         detectReferrer: detectReferrer,
         getUserAgentInfo: getUserAgentInfo,